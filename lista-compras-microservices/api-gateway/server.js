@@ -4,25 +4,98 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const axios = require('axios');
+const jwt = require('jsonwebtoken');
 
 // Shared registry (file-based)
 const serviceRegistry = require('../shared/serviceRegistry');
+const { CircuitBreakerRegistry } = require('../shared/CircuitBreaker');
+const RequestPolicy = require('../shared/RequestPolicy');
+const { DEADLINE_HEADER, parseDeadline } = require('../shared/deadline');
+const { createRateLimiter } = require('../shared/ratelimit');
+const ResponseCache = require('../shared/ResponseCache');
+const { IDENTITY_HEADER, jwtSecret, internalSecret, signIdentity } = require('../shared/identity');
 
 class APIGateway {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
 
-        // Circuit Breaker { [serviceName]: { failures, isOpen, isHalfOpen, lastFailure } }
-        this.circuitBreakers = new Map();
-
-        // Mapa de rotas -> serviços e prefixos a remover
+        // O JWT do cliente é validado aqui; os serviços recebem a identidade assinada
+        // (X-User-Identity, ver shared/identity.js). Sem os segredos, nem sobe
+        this.jwtSecret = jwtSecret();
+        this.identityKey = internalSecret();
+
+        // Circuit breaker por serviço (limites em CIRCUIT_BREAKER_*; ver shared/CircuitBreaker.js)
+        this.circuitBreakers = CircuitBreakerRegistry.fromEnv();
+
+        // Tentativas, prazos e hedging das chamadas aos serviços (ver shared/RequestPolicy.js);
+        // cada rota pode sobrepor opções em `policy`
+        this.requestPolicy = RequestPolicy.fromEnv();
+        // verify/restore de um backup lê (e regrava) a base inteira do serviço
+        this.backupActionPolicy = this.requestPolicy.with({ timeoutMs: 60000 });
+
+        // Mapa de rotas -> serviços e prefixos a remover. rateLimit: token bucket da rota
+        // (limit requisições por windowMs, por identidade; ver shared/ratelimit). public: rotas
+        // sem token, como 'MÉTODO caminho' relativo ao prefixo ('*' no fim vale para o resto);
+        // as demais exigem um JWT válido. cache: validade dos GETs no cache de respostas
+        // (ver shared/ResponseCache.js). Prefixos mais específicos vêm antes
         this.routeTable = [
-            { prefix: '/api/auth',   service: 'user-service', strip: '/api/auth',   forwardBase: '/auth'  },
-            { prefix: '/api/users',  service: 'user-service', strip: '/api/users',  forwardBase: '/users' },
-            { prefix: '/api/items',  service: 'item-service', strip: '/api/items',  forwardBase: '/items' },
-            { prefix: '/api/lists',  service: 'list-service', strip: '/api/lists',  forwardBase: '/lists' },
+            // Login e cadastro: por IP, contra força bruta
+            {
+                prefix: '/api/auth', service: 'user-service', strip: '/api/auth', forwardBase: '/auth',
+                public: ['POST /login', 'POST /register', 'POST /validate'],
+                policy: { timeoutMs: 5000 },
+                rateLimit: { limit: 10, windowMs: 60000, keyBy: ['ip'] },
+            },
+            {
+                prefix: '/api/users', service: 'user-service', strip: '/api/users', forwardBase: '/users',
+                policy: { timeoutMs: 5000 },
+                rateLimit: { limit: 120, windowMs: 60000, keyBy: ['apiKey', 'user', 'ip'] },
+            },
+            // Categorias do catálogo: no item-service a rota fica fora de /items
+            {
+                prefix: '/api/items/categories', service: 'item-service', strip: '/api/items/categories', forwardBase: '/categories',
+                public: ['GET *', 'HEAD *'],
+                policy: { timeoutMs: 5000 },
+                rateLimit: { limit: 300, windowMs: 60000, keyBy: ['apiKey', 'user', 'ip'] },
+                cache: { ttlMs: 300000 },
+            },
+            {
+                prefix: '/api/items', service: 'item-service', strip: '/api/items', forwardBase: '/items',
+                public: ['GET *', 'HEAD *'],
+                policy: { timeoutMs: 5000 },
+                rateLimit: { limit: 300, windowMs: 60000, keyBy: ['apiKey', 'user', 'ip'] },
+                cache: { ttlMs: 30000 },
+            },
+            // O list-service consulta o item-service ao adicionar itens
+            {
+                prefix: '/api/lists', service: 'list-service', strip: '/api/lists', forwardBase: '/lists',
+                policy: { timeoutMs: 10000 },
+                rateLimit: { limit: 120, windowMs: 60000, keyBy: ['apiKey', 'user', 'ip'] },
+            },
         ];
+        this.routePolicies = new Map(this.routeTable.map(entry => [entry.prefix, this.requestPolicy.with(entry.policy)]));
+
+        // Limites das rotas da tabela e dos endpoints do próprio gateway (agregados e admin),
+        // que chamam vários serviços por requisição. RATE_LIMITS sobrepõe qualquer um
+        this.rateLimiter = createRateLimiter({
+            rules: [
+                ...this.routeTable.map(entry => ({ prefix: entry.prefix, ...entry.rateLimit })),
+                { prefix: '/api/search', limit: 30, windowMs: 60000, keyBy: ['apiKey', 'user', 'ip'] },
+                { prefix: '/api/dashboard', limit: 60, windowMs: 60000, keyBy: ['apiKey', 'user', 'ip'] },
+                { prefix: '/api/admin', limit: 30, windowMs: 60000, keyBy: ['user', 'ip'] },
+            ],
+        });
+
+        // Cache dos GETs do catálogo e da busca global. As entradas dependem dos serviços em tags
+        // e saem quando uma escrita passa pelo gateway; a busca inclui as listas do usuário, por
+        // isso a chave é por usuário. RESPONSE_CACHE_TTLS sobrepõe a validade de cada uma
+        this.responseCache = ResponseCache.fromEnv({
+            rules: [
+                ...this.routeTable.filter(entry => entry.cache).map(entry => ({ prefix: entry.prefix, tags: [entry.service], ...entry.cache })),
+                { prefix: '/api/search', ttlMs: 15000, perUser: true, tags: ['item-service', 'list-service'] },
+            ],
+        });
 
         this.setupMiddleware();
         this.setupRoutes();
@@ -35,7 +108,12 @@ class APIGateway {
     // ========= Middleware =========
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({
+            exposedHeaders: [
+                'ETag', 'Link', 'X-Total-Count', 'Retry-After', 'Age', 'X-Cache',
+                'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy',
+            ],
+        }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
@@ -48,11 +126,26 @@ class APIGateway {
             next();
         });
 
+        // Usuário do token (req.user), antes do rate limiting, que pode separar os buckets por usuário
+        this.app.use((req, res, next) => this.authenticate(req, res, next));
+
+        // Rate limiting por prefixo, antes de qualquer chamada aos serviços
+        // (429 + Retry-After; RATE_LIMIT_ENABLED=false desliga)
+        if (process.env.RATE_LIMIT_ENABLED !== 'false') {
+            this.app.use(this.rateLimiter.middleware());
+        }
+
         // Log simpático
         this.app.use((req, _res, next) => {
             console.log(`➡️  ${req.method} ${req.originalUrl}`);
             next();
         });
+
+        // Cache de respostas: GETs do catálogo e da busca saem daqui sem chamar os serviços
+        // enquanto valerem (X-Cache: HIT; RESPONSE_CACHE_ENABLED=false desliga)
+        if (process.env.RESPONSE_CACHE_ENABLED !== 'false') {
+            this.app.use(this.responseCache.middleware());
+        }
     }
 
     // ========= Rotas =========
@@ -88,6 +181,13 @@ class APIGateway {
                     lists: '/api/lists/* → list-service',
                 },
                 aggregated: ['/api/dashboard', '/api/search?q=...'],
+                admin: [
+                    '/api/admin/backups',
+                    '/api/admin/backups/:service/:name/(verify|restore)',
+                    '/api/admin/circuit-breakers',
+                    '/api/admin/circuit-breakers/:service/(trip|reset)',
+                    '/api/admin/cache',
+                ],
                 health: '/health',
                 registry: '/registry',
             });
@@ -98,9 +198,27 @@ class APIGateway {
             this.app.use(entry.prefix, (req, res, next) => this.proxyByEntry(entry, req, res, next));
         }
 
+        const requireUser = (req, res, next) => this.requireUser(req, res, next);
+        const requireAdmin = (req, res, next) => this.requireAdmin(req, res, next);
+
         // ---------- Endpoints Agregados ----------
-        this.app.get('/api/dashboard', (req, res) => this.getDashboard(req, res));
+        this.app.get('/api/dashboard', requireUser, (req, res) => this.getDashboard(req, res));
         this.app.get('/api/search', (req, res) => this.globalSearch(req, res));
+
+        // ---------- Administração: backups de todos os serviços ----------
+        // (o papel de admin é conferido pelos serviços)
+        this.app.get('/api/admin/backups', requireUser, (req, res) => this.backupsOfAllServices(req, res, 'GET'));
+        this.app.post('/api/admin/backups', requireUser, (req, res) => this.backupsOfAllServices(req, res, 'POST'));
+        this.app.post('/api/admin/backups/:service/:name/:action(verify|restore)', requireUser, (req, res) => this.forwardBackupAction(req, res));
+
+        // ---------- Administração: circuit breakers ----------
+        this.app.get('/api/admin/circuit-breakers', requireAdmin, (req, res) => this.listCircuitBreakers(req, res));
+        this.app.get('/api/admin/circuit-breakers/:service', requireAdmin, (req, res) => this.getCircuitBreaker(req, res));
+        this.app.post('/api/admin/circuit-breakers/:service/:action(trip|reset)', requireAdmin, (req, res) => this.changeCircuitBreaker(req, res));
+
+        // ---------- Administração: cache de respostas ----------
+        this.app.get('/api/admin/cache', requireAdmin, (_req, res) => res.json({ success: true, data: this.responseCache.snapshot() }));
+        this.app.delete('/api/admin/cache', requireAdmin, (req, res) => this.purgeResponseCache(req, res));
     }
 
     setupErrorHandling() {
@@ -141,148 +259,335 @@ class APIGateway {
         const serviceName = entry.service;
 
         try {
-            // Circuit breaker
-            if (this.isCircuitOpen(serviceName)) {
-                return res.status(503).json({
-                    success: false,
-                    message: `Serviço ${serviceName} temporariamente indisponível`,
-                    service: serviceName,
-                });
-            }
-
-            // Descobrir URL do serviço
-            let service;
-            try {
-                service = serviceRegistry.discover(serviceName);
-            } catch (err) {
-                const available = Object.keys(serviceRegistry.listServices());
-                return res.status(503).json({
-                    success: false,
-                    message: `Serviço ${serviceName} não encontrado`,
-                    availableServices: available,
-                });
-            }
-
             // Reescrever caminho: remove prefixo /api/... e aplica base correta do serviço
             // Ex.: /api/items/123  -> /items/123
             //     /api/auth/login -> /auth/login
-            let suffix = req.originalUrl.replace(entry.strip, '');
+            // A query vai em params; aqui só o caminho
+            let suffix = req.originalUrl.split('?')[0].replace(entry.strip, '');
             if (!suffix.startsWith('/')) suffix = '/' + suffix;
             if (suffix === '/' || suffix === '') suffix = ''; // virar base pura
-            const targetPath = `${entry.forwardBase}${suffix}`;
-            const targetUrl = `${service.url}${targetPath}`;
 
-            // Montar request
-            const config = {
+            // Token inválido ou ausente para de vez aqui, sem chegar ao serviço
+            if (!req.user && !this.isPublicRoute(entry, req.method, suffix)) {
+                return this.unauthorized(req, res);
+            }
+
+            // Headers problemáticos. O serviço recebe a identidade assinada em vez do token;
+            // uma identidade mandada pelo próprio cliente nunca passa
+            const headers = { ...req.headers };
+            delete headers.host;
+            delete headers['content-length'];
+            delete headers.authorization;
+            delete headers[IDENTITY_HEADER.toLowerCase()];
+
+            // GET com cache: o If-None-Match do cliente é respondido pelo gateway; ao serviço vai
+            // o ETag da entrada vencida, que um 304 renova sem trafegar o corpo
+            if (req.responseCache) {
+                delete headers['if-none-match'];
+                delete headers['if-modified-since'];
+                if (req.responseCache.stale) headers['if-none-match'] = req.responseCache.stale.etag;
+            }
+
+            // Fluxos SSE (ex.: /api/lists/:id/changes) são repassados enquanto o cliente estiver conectado
+            const stream = req.method === 'GET' && (req.get('Accept') || '').includes('text/event-stream');
+
+            // O prazo da rota (ou o do cliente, se vencer antes) vale para todas as tentativas
+            const policy = this.routePolicies.get(entry.prefix);
+            const response = await this.requestService(serviceName, policy, {
                 method: req.method,
-                url: targetUrl,
-                headers: { ...req.headers },
-                timeout: 10000,
-                family: 4,
-                validateStatus: (status) => status < 500, // deixa 4xx passar
-            };
+                path: `${entry.forwardBase}${suffix}`,
+                headers,
+                user: req.user,
+                params: Object.keys(req.query).length > 0 ? req.query : undefined,
+                data: ['POST', 'PUT', 'PATCH'].includes(req.method) ? req.body : undefined,
+                deadline: policy.deadlineFor(parseDeadline(req.get(DEADLINE_HEADER))),
+                stream,
+            });
+
+            // Escrita no serviço: as respostas em cache que dependem dele saem
+            if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && response.status < 400) {
+                this.responseCache.invalidate(serviceName);
+            }
 
-            // Body e query
-            if (['POST', 'PUT', 'PATCH'].includes(req.method)) config.data = req.body;
-            if (Object.keys(req.query).length > 0) config.params = req.query;
+            if (stream) {
+                ['content-type', 'cache-control'].forEach(header => {
+                    if (response.headers[header]) res.set(header, response.headers[header]);
+                });
+                res.status(response.status);
+                res.flushHeaders();
+                response.data.pipe(res);
+                res.on('close', () => response.data.destroy());
+                return;
+            }
 
-            // Headers problemáticos
-            delete config.headers.host;
-            delete config.headers['content-length'];
+            if (response.status === 304 && req.responseCache?.stale) {
+                return this.responseCache.revalidated(req, res, response.headers['cache-control']);
+            }
 
-            const response = await axios(config);
+            // Repassa a versão do documento (ETag) para o controle de concorrência no cliente
+            // e o Cache-Control do serviço (o cache do gateway também o segue)
+            if (response.headers.etag) res.set('ETag', response.headers.etag);
+            if (response.headers['cache-control']) res.set('Cache-Control', response.headers['cache-control']);
 
-            // Sucesso → reset no breaker
-            this.resetCircuitBreaker(serviceName);
+            // Paginação: os links do serviço apontam para as rotas dele, reescritas para as do gateway
+            if (response.headers.link) res.set('Link', this.rewriteLinks(response.headers.link, entry));
+            if (response.headers['x-total-count']) res.set('X-Total-Count', response.headers['x-total-count']);
 
             return res.status(response.status).json(response.data);
         } catch (error) {
-            // Falha → computa no breaker
-            this.recordFailure(serviceName);
-
-            if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-                return res.status(503).json({
-                    success: false,
-                    message: `Serviço ${serviceName} indisponível`,
-                    service: serviceName,
-                    error: error.code,
-                });
+            // Uma escrita sem resposta pode ter sido aplicada mesmo assim
+            if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !error.response) {
+                this.responseCache.invalidate(serviceName);
             }
 
-            if (error.response) {
-                return res.status(error.response.status).json(error.response.data);
-            }
+            return this.sendServiceError(res, serviceName, error);
+        }
+    }
 
-            return res.status(500).json({
+    // Resposta ao cliente para uma chamada a um serviço que falhou (requestService lançou)
+    sendServiceError(res, serviceName, error) {
+        // Circuit breaker aberto (ou half-open sem vaga para mais uma chamada de teste)
+        if (error.code === 'CIRCUIT_OPEN') {
+            const retryAfter = this.circuitBreakers.get(serviceName).retryAfterSeconds();
+            if (retryAfter) res.set('Retry-After', String(retryAfter));
+            return res.status(503).json({
                 success: false,
-                message: 'Erro interno do gateway',
-                service: 'api-gateway',
-                error: error.message,
+                message: `Serviço ${serviceName} temporariamente indisponível`,
+                service: serviceName,
+                circuit: this.circuitBreakers.get(serviceName).state,
+            });
+        }
+
+        if (error.code === 'SERVICE_NOT_FOUND') {
+            return res.status(503).json({
+                success: false,
+                message: `Serviço ${serviceName} não encontrado`,
+                availableServices: Object.keys(serviceRegistry.listServices()),
+            });
+        }
+
+        if (error.code === 'DEADLINE_EXCEEDED' || error.code === 'ECONNABORTED') {
+            return res.status(504).json({
+                success: false,
+                message: `Serviço ${serviceName} não respondeu no prazo`,
+                service: serviceName,
+            });
+        }
+
+        if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+            return res.status(503).json({
+                success: false,
+                message: `Serviço ${serviceName} indisponível`,
+                service: serviceName,
+                error: error.code,
             });
         }
+
+        if (error.response) {
+            return res.status(error.response.status).json(error.response.data);
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Erro interno do gateway',
+            service: 'api-gateway',
+            error: error.message,
+        });
+    }
+
+    // Chamada a um serviço sob a política (tentativas, prazo e hedging). Cada tentativa passa pelo
+    // circuit breaker e vai para uma instância ainda não tentada, quando houver outra saudável;
+    // o prazo segue no header X-Request-Deadline e o usuário (user) em X-User-Identity.
+    // Respostas < 500 voltam como resposta; 5xx, timeouts e erros de conexão contam como falha
+    // no breaker. stream: resposta como stream, sem timeout nem hedging (SSE).
+    async requestService(serviceName, policy, { method, path, headers = {}, user = null, params, data, deadline, stream = false }) {
+        const breaker = this.circuitBreakers.get(serviceName);
+        const tried = new Set();
+
+        const send = async ({ timeoutMs, signal, hedged }) => {
+            const done = breaker.acquire();
+            if (!done) {
+                const err = new Error(`Circuito aberto para ${serviceName}`);
+                err.code = 'CIRCUIT_OPEN';
+                err.status = 503;
+                throw err;
+            }
+
+            // Uma das instâncias saudáveis, conforme LB_STRATEGY
+            let service;
+            try {
+                service = serviceRegistry.discover(serviceName, { exclude: [...tried] });
+            } catch (err) {
+                done('cancel');
+                err.code = 'SERVICE_NOT_FOUND';
+                err.status = 503;
+                throw err;
+            }
+            tried.add(service.instanceId);
+            if (hedged) console.log(`⏩ Hedge ${method} ${serviceName}${path} → ${service.instanceId}`);
+
+            const release = serviceRegistry.acquire(service);
+            try {
+                const response = await axios({
+                    method,
+                    url: `${service.url}${path}`,
+                    headers: {
+                        ...headers,
+                        [DEADLINE_HEADER]: String(deadline),
+                        // Assinada a cada tentativa: vale por pouco tempo
+                        ...(user ? { [IDENTITY_HEADER]: signIdentity(user, { key: this.identityKey }) } : {}),
+                    },
+                    params,
+                    data,
+                    timeout: stream ? 0 : timeoutMs,
+                    signal,
+                    family: 4,
+                    responseType: stream ? 'stream' : 'json',
+                    validateStatus: (status) => status < 500, // deixa 4xx passar
+                });
+                done('success');
+                return response;
+            } catch (error) {
+                // A cópia que perdeu a corrida do hedging não é falha do serviço
+                done(axios.isCancel(error) ? 'cancel' : 'failure');
+                throw error;
+            } finally {
+                release();
+            }
+        };
+
+        return policy.execute(method, send, {
+            deadline,
+            hedge: !stream && serviceRegistry.getInstances(serviceName, { healthyOnly: true }).length > 1,
+            onRetry: (error, attempt, delay) => {
+                const reason = error.response?.status || error.code || error.message;
+                console.log(`↻ ${method} ${serviceName}${path}: tentativa ${attempt + 1} em ${delay}ms (${reason})`);
+            },
+        });
+    }
+
+    // ========= Autenticação =========
+    // O JWT é validado uma vez, aqui: req.user recebe o usuário de um token válido e
+    // req.authError o motivo de um token recusado. Quem exige usuário recusa depois
+    // (requireUser, rotas não públicas do proxy); as rotas públicas ignoram um token ruim.
+    authenticate(req, _res, next) {
+        req.user = null;
+        req.authError = null;
+
+        const authHeader = req.get('Authorization');
+        if (authHeader) {
+            const [scheme, token] = authHeader.split(' ');
+            try {
+                if (scheme !== 'Bearer' || !token) throw new Error('formato inválido');
+                const decoded = jwt.verify(token, this.jwtSecret, { algorithms: ['HS256'] });
+                if (typeof decoded.id !== 'string') throw new Error('token sem id');
+                req.user = { id: decoded.id, email: decoded.email, username: decoded.username, role: decoded.role };
+            } catch (err) {
+                req.authError = err.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido';
+            }
+        }
+        next();
+    }
+
+    unauthorized(req, res) {
+        return res.status(401).json({ success: false, message: req.authError || 'Token de autenticação obrigatório' });
+    }
+
+    requireUser(req, res, next) {
+        if (!req.user) return this.unauthorized(req, res);
+        next();
+    }
+
+    requireAdmin(req, res, next) {
+        if (!req.user) return this.unauthorized(req, res);
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Acesso restrito a administradores' });
+        }
+        next();
+    }
+
+    // Rota pública da entrada: 'MÉTODO caminho', com '*' no fim valendo para o resto do caminho
+    isPublicRoute(entry, method, suffix) {
+        const path = suffix || '/';
+        return (entry.public || []).some(rule => {
+            const [ruleMethod, pattern] = rule.split(' ');
+            if (ruleMethod !== method) return false;
+            if (pattern.endsWith('*')) return path.startsWith(pattern.slice(0, -1)) || path === pattern.slice(0, -2);
+            return path === pattern;
+        });
     }
 
     // ========= Circuit Breaker =========
-    isCircuitOpen(serviceName) {
-        const b = this.circuitBreakers.get(serviceName);
-        if (!b) return false;
-
-        const now = Date.now();
-        // meio-aberto após 30s
-        if (b.isOpen && now - b.lastFailure > 30000) {
-            b.isOpen = false;
-            b.isHalfOpen = true;
-            console.log(`⚠️  Circuit half-open for ${serviceName}`);
-            return false;
+    listCircuitBreakers(_req, res) {
+        // Serviços ainda sem chamadas aparecem com o estado inicial
+        this.routedServices().forEach(serviceName => this.circuitBreakers.get(serviceName));
+        res.json({ success: true, data: this.circuitBreakers.list() });
+    }
+
+    getCircuitBreaker(req, res) {
+        if (!this.routedServices().includes(req.params.service)) {
+            return res.status(404).json({ success: false, message: `Serviço desconhecido: ${req.params.service}` });
         }
-        return b.isOpen;
+        res.json({ success: true, data: this.circuitBreakers.get(req.params.service).snapshot() });
     }
 
-    recordFailure(serviceName) {
-        const b = this.circuitBreakers.get(serviceName) || {
-            failures: 0,
-            isOpen: false,
-            isHalfOpen: false,
-            lastFailure: 0,
-        };
-        b.failures += 1;
-        b.lastFailure = Date.now();
-        if (b.failures >= 3) {
-            b.isOpen = true;
-            b.isHalfOpen = false;
-            console.log(`🛑 Circuit opened for ${serviceName}`);
+    // trip: abre até um reset (ex.: manutenção); reset: fecha e limpa a janela de resultados
+    changeCircuitBreaker(req, res) {
+        const { service: serviceName, action } = req.params;
+        if (!this.routedServices().includes(serviceName)) {
+            return res.status(404).json({ success: false, message: `Serviço desconhecido: ${serviceName}` });
         }
-        this.circuitBreakers.set(serviceName, b);
+
+        const breaker = this.circuitBreakers.get(serviceName);
+        const reason = typeof req.body?.reason === 'string' && req.body.reason.trim()
+            ? req.body.reason.trim().slice(0, 200)
+            : undefined;
+        if (action === 'trip') breaker.trip(reason);
+        else breaker.reset(reason);
+
+        res.json({ success: true, data: breaker.snapshot() });
     }
 
-    resetCircuitBreaker(serviceName) {
-        const b = this.circuitBreakers.get(serviceName);
-        if (b) {
-            b.failures = 0;
-            b.isOpen = false;
-            b.isHalfOpen = false;
-            console.log(`✅ Circuit reset for ${serviceName}`);
+    // ========= Cache de respostas =========
+    // Sem parâmetros esvazia o cache; ?service=item-service descarta só as entradas que dependem
+    // do serviço (ex.: depois de uma alteração feita direto nele, sem passar pelo gateway)
+    purgeResponseCache(req, res) {
+        const serviceName = req.query.service;
+        if (serviceName && !this.routedServices().includes(serviceName)) {
+            return res.status(404).json({ success: false, message: `Serviço desconhecido: ${serviceName}` });
         }
+
+        const removed = serviceName ? this.responseCache.invalidate(serviceName) : this.responseCache.clear();
+        res.json({ success: true, data: { removed, ...this.responseCache.snapshot() } });
+    }
+
+    // </items?after=...>; rel="next" → </api/items?after=...>; rel="next"
+    rewriteLinks(header, entry) {
+        return header.replace(/<([^>]*)>/g, (link, url) => (
+            url.startsWith(entry.forwardBase) ? `<${entry.prefix}${url.slice(entry.forwardBase.length)}>` : link
+        ));
     }
 
     // ========= Helpers para chamadas agregadas =========
+    // Serviços atrás do gateway (os da tabela de rotas)
+    routedServices() {
+        return [...new Set(this.routeTable.map(entry => entry.service))];
+    }
+
     discover(serviceName) {
         return serviceRegistry.discover(serviceName); // lança se não encontrado
     }
 
-    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}, data = null) {
-        const svc = this.discover(serviceName);
-        const config = {
+    // user: usuário autenticado (req.user), repassado como identidade assinada
+    async callService(serviceName, path, method = 'GET', user = null, params = {}, data = null) {
+        const resp = await this.requestService(serviceName, this.requestPolicy, {
             method,
-            url: `${svc.url}${path}`,
-            timeout: 10000,
-            family: 4,
-            validateStatus: (s) => s < 500,
-        };
-        if (authHeader) config.headers = { Authorization: authHeader };
-        if (method === 'GET' && Object.keys(params).length) config.params = params;
-        if (['POST', 'PUT', 'PATCH'].includes(method) && data) config.data = data;
-        const resp = await axios(config);
+            path,
+            user,
+            params: method === 'GET' && Object.keys(params).length ? params : undefined,
+            data: ['POST', 'PUT', 'PATCH'].includes(method) && data ? data : undefined,
+            deadline: this.requestPolicy.deadlineFor(),
+        });
         return resp.data;
     }
 
@@ -290,16 +595,13 @@ class APIGateway {
     // Agrega algumas estatísticas do usuário autenticado:
     // - listas do usuário + resumo agregado
     // - amostra de itens e categorias
+    // As amostras pedem só os campos exibidos (?fields), sem os itens de cada lista.
     async getDashboard(req, res) {
         try {
-            const authHeader = req.header('Authorization');
-            if (!authHeader) {
-                return res.status(401).json({ success: false, message: 'Token de autenticação obrigatório' });
-            }
-
-            const [listsRes, itemsRes, catsRes] = await Promise.allSettled([
-                this.callService('list-service', '/lists', 'GET', authHeader, { limit: 50 }),
-                this.callService('item-service', '/items', 'GET', null, { limit: 10 }),
+            const [listsRes, statsRes, itemsRes, catsRes] = await Promise.allSettled([
+                this.callService('list-service', '/lists', 'GET', req.user, { limit: 5, fields: '-items' }),
+                this.callService('list-service', '/lists/stats', 'GET', req.user),
+                this.callService('item-service', '/items', 'GET', null, { limit: 10, fields: 'name,category,unit,averagePrice' }),
                 this.callService('item-service', '/categories', 'GET'),
             ]);
 
@@ -307,17 +609,12 @@ class APIGateway {
             const items = itemsRes.status === 'fulfilled' ? itemsRes.value.data || itemsRes.value : [];
             const categories = catsRes.status === 'fulfilled' ? catsRes.value.data || catsRes.value : [];
 
-            // Resumo global das listas (somatório dos summaries individuais)
-            let totalLists = 0, totalItems = 0, purchasedItems = 0, estimatedTotal = 0;
-            if (Array.isArray(lists)) {
-                totalLists = lists.length;
-                for (const l of lists) {
-                    const s = l.summary || { totalItems: 0, purchasedItems: 0, estimatedTotal: 0 };
-                    totalItems += Number(s.totalItems) || 0;
-                    purchasedItems += Number(s.purchasedItems) || 0;
-                    estimatedTotal += Number(s.estimatedTotal) || 0;
-                }
-            }
+            // Resumo global das listas (agregado pelo list-service)
+            const stats = statsRes.status === 'fulfilled' && statsRes.value?.data ? statsRes.value.data : {};
+            const totalLists = Number(stats.totalLists) || 0;
+            const totalItems = Number(stats.totalItems) || 0;
+            const purchasedItems = Number(stats.purchasedItems) || 0;
+            const estimatedTotal = Number(stats.estimatedTotal) || 0;
 
             res.json({
                 success: true,
@@ -329,7 +626,8 @@ class APIGateway {
                         totalItems,
                         purchasedItems,
                         estimatedTotal: Number(estimatedTotal.toFixed(2)),
-                        sample: lists.slice(0, 5),
+                        byStatus: stats.byStatus || [],
+                        sample: Array.isArray(lists) ? lists.slice(0, 5) : [],
                     },
                     catalog: {
                         sampleItems: items.slice ? items.slice(0, 5) : items,
@@ -346,7 +644,7 @@ class APIGateway {
     // ========= /api/search =========
     // Busca global em Itens (Item Service) e em Listas do usuário (List Service)
     // Para listas, como não há endpoint de busca dedicado, buscamos todas e filtramos por nome da lista
-    // e por nome de itens cacheados dentro da lista.
+    // e por nome de itens cacheados dentro da lista (pedindo só os campos usados e exibidos).
     async globalSearch(req, res) {
         try {
             const { q } = req.query;
@@ -354,15 +652,21 @@ class APIGateway {
                 return res.status(400).json({ success: false, message: 'Parâmetro "q" é obrigatório' });
             }
 
-            const authHeader = req.header('Authorization') || null;
+            // Token enviado, mas recusado: erro, em vez de buscar como anônimo
+            if (req.authError) {
+                return this.unauthorized(req, res);
+            }
 
             const searches = [
                 this.callService('item-service', '/search', 'GET', null, { q }),
             ];
 
             // Se autenticado, consultar listas do usuário e filtrar no gateway
-            if (authHeader) {
-                searches.push(this.callService('list-service', '/lists', 'GET', authHeader, { limit: 100 }));
+            if (req.user) {
+                searches.push(this.callService('list-service', '/lists', 'GET', req.user, {
+                    limit: 100,
+                    fields: 'name,status,summary,updatedAt,items.itemId,items.itemName',
+                }));
             }
 
             const [itemsRes, listsRes] = await Promise.allSettled(searches);
@@ -396,8 +700,55 @@ class APIGateway {
         }
     }
 
+    // ========= /api/admin/backups =========
+    // GET lista e POST cria os backups de cada serviço (cada um grava em services/<serviço>/backups).
+    // A permissão de admin é conferida pelos próprios serviços.
+    async backupsOfAllServices(req, res, method) {
+        const services = this.routedServices();
+        const results = await Promise.allSettled(services.map(serviceName =>
+            this.callService(serviceName, '/admin/backups', method, req.user, {}, method === 'POST' ? req.body : null)
+        ));
+
+        const data = {};
+        results.forEach((result, i) => {
+            data[services[i]] = result.status === 'fulfilled'
+                ? result.value
+                : { success: false, message: `Serviço indisponível: ${result.reason.message}` };
+        });
+
+        const success = Object.values(data).every(result => result.success);
+        res.status(success ? (method === 'POST' ? 201 : 200) : 207).json({ success, data });
+    }
+
+    async forwardBackupAction(req, res) {
+        const { service: serviceName, name, action } = req.params;
+        if (!this.routedServices().includes(serviceName)) {
+            return res.status(404).json({ success: false, message: `Serviço desconhecido: ${serviceName}` });
+        }
+
+        try {
+            const response = await this.requestService(serviceName, this.backupActionPolicy, {
+                method: 'POST',
+                path: `/admin/backups/${encodeURIComponent(name)}/${action}`,
+                user: req.user,
+                deadline: this.backupActionPolicy.deadlineFor(parseDeadline(req.get(DEADLINE_HEADER))),
+            });
+            // Um restore troca os dados do serviço
+            if (action === 'restore' && response.status < 400) this.responseCache.invalidate(serviceName);
+            res.status(response.status).json(response.data);
+        } catch (error) {
+            // Um restore que falhou (ou ficou sem resposta) pode ter trocado parte dos dados
+            if (action === 'restore') this.responseCache.invalidate(serviceName);
+            console.error(`Backup ${action} error:`, error.message);
+            return this.sendServiceError(res, serviceName, error);
+        }
+    }
+
     // ========= Health checks (registry) =========
     startHealthChecks() {
+        // Instâncias sem heartbeat saem do registry (lease vencido ou processo morto)
+        serviceRegistry.startEviction();
+
         // Executa a cada 30s
         setInterval(async () => {
             try {
@@ -417,8 +768,23 @@ class APIGateway {
         }, 5000);
     }
 
+    // ========= Topologia (registry) =========
+    // Com a assinatura, discover usa a visão em memória do registry (sem reler o arquivo a cada
+    // requisição) e as mudanças chegam na hora: uma instância nova ou que voltou a ficar saudável
+    // passa o circuito aberto do serviço para half-open, sem esperar o tempo de abertura
+    watchTopology() {
+        this.unsubscribeTopology = serviceRegistry.subscribe((event) => {
+            const state = event.type === 'removed' ? 'removida' : (event.healthy ? 'disponível' : 'indisponível');
+            console.log(`🔄 Registry: ${event.service} [${event.instanceId}] ${event.type} (${state})`);
+            if (event.healthy && this.circuitBreakers.has(event.service)) {
+                this.circuitBreakers.get(event.service).halfOpen(`instância ${event.instanceId} disponível`);
+            }
+        });
+    }
+
     // ========= Boot =========
     start() {
+        this.watchTopology();
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`API Gateway iniciado na porta ${this.port}`);
@@ -432,7 +798,13 @@ class APIGateway {
   /api/lists/* → list-service (/lists/*)
   Aggregated:
   GET /api/dashboard
-  GET /api/search?q=...`);
+  GET /api/search?q=...
+  Admin:
+  GET|POST /api/admin/backups
+  POST /api/admin/backups/:service/:name/(verify|restore)
+  GET  /api/admin/circuit-breakers
+  POST /api/admin/circuit-breakers/:service/(trip|reset)
+  GET|DELETE /api/admin/cache`);
             console.log('=====================================');
         });
     }
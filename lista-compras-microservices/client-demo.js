@@ -164,10 +164,10 @@ class MicroservicesClient {
         }
     }
 
-    async getMyLists({ limit = 50, page = 1, status } = {}) {
+    async getMyLists({ limit = 50, after, status } = {}) {
         this.ensureAuth();
         try {
-            const { data } = await this.api.get('/api/lists', { params: { limit, page, status } });
+            const { data } = await this.api.get('/api/lists', { params: { limit, after, status } });
             if (!data?.success) return [];
             const lists = data.data || [];
             console.log(`🗂️ Minhas listas: ${lists.length}`);
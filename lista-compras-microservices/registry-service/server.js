@@ -0,0 +1,204 @@
+// registry-service/server.js
+// Registry de serviços em HTTP: substitui o arquivo compartilhado quando os processos não
+// dividem o mesmo disco. Os serviços e o gateway o usam com REGISTRY_URL=http://host:3004.
+// O estado fica em memória; se o registry reiniciar, cada instância volta no próximo heartbeat.
+const express = require('express');
+const morgan = require('morgan');
+
+const { MemoryServiceRegistry } = require('../shared/registry');
+
+class RegistryService {
+    constructor() {
+        this.app = express();
+        this.port = process.env.PORT || 3004;
+        this.registry = new MemoryServiceRegistry();
+
+        this.setupMiddleware();
+        this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    setupMiddleware() {
+        this.app.use(morgan('dev', {
+            // Heartbeats chegam a cada poucos segundos de cada instância
+            skip: (req, res) => req.path.endsWith('/heartbeat') && res.statusCode < 400
+        }));
+        this.app.use(express.json());
+    }
+
+    setupRoutes() {
+        this.app.get('/health', (_req, res) => {
+            res.json({
+                service: 'registry-service',
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                version: this.registry.version,
+                stats: this.registry.getStats(),
+            });
+        });
+
+        this.app.get('/', (_req, res) => {
+            res.json({
+                service: 'Registry Service',
+                version: '1.0.0',
+                description: 'Registro e descoberta de instâncias dos microsserviços',
+                endpoints: [
+                    'GET /services',
+                    'GET /services/:name',
+                    'GET /services/:name/discover',
+                    'POST /services/:name/instances',
+                    'PUT /services/:name/instances/:instanceId/heartbeat',
+                    'PUT /services/:name/instances/:instanceId/health',
+                    'DELETE /services/:name/instances/:instanceId',
+                    'DELETE /services/:name',
+                    'DELETE /services',
+                    'GET /watch (SSE)',
+                ],
+            });
+        });
+
+        // ---- Estado completo (o que os clientes guardam em cache) ----
+        this.app.get('/services', (_req, res) => {
+            res.json({ success: true, ...this.registry.snapshot() });
+        });
+
+        // ---- Instâncias de um serviço (?healthy=true: só as disponíveis) ----
+        this.app.get('/services/:name', (req, res) => {
+            if (!this.registry.hasService(req.params.name)) {
+                return res.status(404).json({ success: false, message: `Serviço não encontrado: ${req.params.name}` });
+            }
+            const instances = this.registry.getInstances(req.params.name, { healthyOnly: req.query.healthy === 'true' });
+            res.json({ success: true, data: instances });
+        });
+
+        // ---- Uma instância escolhida pelo balanceador do registry (?strategy=...) ----
+        this.app.get('/services/:name/discover', (req, res) => {
+            try {
+                res.json({ success: true, data: this.registry.discover(req.params.name, { strategy: req.query.strategy }) });
+            } catch (err) {
+                if (err.code === 'UNKNOWN_STRATEGY') {
+                    return res.status(400).json({ success: false, message: err.message });
+                }
+                const status = this.registry.hasService(req.params.name) ? 503 : 404;
+                res.status(status).json({ success: false, message: err.message });
+            }
+        });
+
+        // ---- Registrar instância ----
+        // Body: url, instanceId, pid, hostname, leaseTtlMs e metadata
+        this.app.post('/services/:name/instances', (req, res) => {
+            const { url } = req.body || {};
+            if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+                return res.status(400).json({ success: false, message: 'Campo "url" (http/https) é obrigatório' });
+            }
+
+            const { instanceId, pid, hostname, leaseTtlMs, metadata } = req.body;
+            const instance = this.registry.buildInstance(req.params.name, {
+                url,
+                ...(instanceId ? { instanceId: String(instanceId) } : {}),
+                // Sem pid o registry não confere o processo, só o lease
+                pid: Number.isInteger(pid) ? pid : null,
+                ...(hostname ? { hostname: String(hostname) } : {}),
+                ...(Number(leaseTtlMs) > 0 ? { leaseTtlMs: Number(leaseTtlMs) } : {}),
+                metadata: metadata && typeof metadata === 'object' ? metadata : {},
+            });
+            this.registry.saveInstance(req.params.name, instance);
+            console.log(`[Registry] ${req.params.name} registrado: ${instance.url} [${instance.instanceId}]`);
+            res.status(201).json({ success: true, data: instance });
+        });
+
+        // ---- Heartbeat (renova o lease). 404: a instância precisa se registrar de novo ----
+        this.app.put('/services/:name/instances/:instanceId/heartbeat', (req, res) => {
+            const leaseTtlMs = Number(req.body?.leaseTtlMs) > 0 ? Number(req.body.leaseTtlMs) : undefined;
+            if (!this.registry.renewLease(req.params.name, req.params.instanceId, leaseTtlMs)) {
+                return res.status(404).json({ success: false, message: 'Instância não registrada' });
+            }
+            res.json({ success: true });
+        });
+
+        // ---- Resultado de health check ----
+        this.app.put('/services/:name/instances/:instanceId/health', (req, res) => {
+            if (typeof req.body?.healthy !== 'boolean') {
+                return res.status(400).json({ success: false, message: 'Campo "healthy" (boolean) é obrigatório' });
+            }
+            if (!this.registry.setHealth(req.params.name, req.params.instanceId, req.body.healthy)) {
+                return res.status(404).json({ success: false, message: 'Instância não registrada' });
+            }
+            res.json({ success: true });
+        });
+
+        // ---- Remover instância / serviço / tudo ----
+        this.app.delete('/services/:name/instances/:instanceId', (req, res) => {
+            if (!this.registry.removeInstance(req.params.name, req.params.instanceId)) {
+                return res.status(404).json({ success: false, message: 'Instância não registrada' });
+            }
+            console.log(`[Registry] ${req.params.name} removido: ${req.params.instanceId}`);
+            res.json({ success: true });
+        });
+
+        this.app.delete('/services/:name', (req, res) => {
+            if (!this.registry.removeInstance(req.params.name)) {
+                return res.status(404).json({ success: false, message: `Serviço não encontrado: ${req.params.name}` });
+            }
+            res.json({ success: true });
+        });
+
+        this.app.delete('/services', (_req, res) => {
+            this.registry.clear();
+            res.json({ success: true });
+        });
+
+        // ---- Fluxo de alterações (SSE): um evento "snapshot" na conexão e a cada mudança ----
+        // Também saem os eventos de topologia (added, removed, health), inclusive os de leases
+        // que venceram sem escrita; os clientes do registry só precisam dos snapshots
+        this.app.get('/watch', (req, res) => {
+            res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+            res.flushHeaders();
+
+            const send = (snapshot) => {
+                res.write(`id: ${snapshot.version}\nevent: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+            };
+            send(this.registry.snapshot());
+
+            const unsubscribe = this.registry.onChange(send);
+            const unsubscribeTopology = this.registry.subscribe((event) => {
+                res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+            });
+            const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+            req.on('close', () => {
+                clearInterval(keepAlive);
+                unsubscribe();
+                unsubscribeTopology();
+            });
+        });
+    }
+
+    setupErrorHandling() {
+        this.app.use('*', (req, res) => {
+            res.status(404).json({ success: false, message: 'Endpoint não encontrado', path: req.originalUrl });
+        });
+
+        this.app.use((err, _req, res, _next) => {
+            console.error('[Registry] error middleware:', err);
+            res.status(500).json({ success: false, message: 'Erro interno do registry' });
+        });
+    }
+
+    start() {
+        this.registry.startEviction();
+        this.server = this.app.listen(this.port, () => {
+            console.log('=====================================');
+            console.log(`Registry Service na porta ${this.port}`);
+            console.log(`URL: http://localhost:${this.port}`);
+            console.log(`Watch: GET /watch (SSE)`);
+            console.log('=====================================');
+        });
+    }
+}
+
+if (require.main === module) {
+    const registryService = new RegistryService();
+    registryService.start();
+}
+
+module.exports = RegistryService;
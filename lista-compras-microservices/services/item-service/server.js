@@ -2,13 +2,41 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
 // Shared
 const JsonDatabase = require('../../shared/JsonDatabase');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { formatETag, parseIfMatch } = require('../../shared/documentVersion');
+const { parsePagination, paginationHeaders } = require('../../shared/pagination');
+const { parseFields } = require('../../shared/fields');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const BackupManager = require('../../shared/BackupManager');
+const registerBackupRoutes = require('../../shared/backupRoutes');
+const { deadlineMiddleware } = require('../../shared/deadline');
+const { identityMiddleware, internalSecret } = require('../../shared/identity');
+
+// Leituras do catálogo: caches compartilhados (o do gateway) guardam por até 5 min e são
+// avisados das escritas; clientes revalidam sempre pelo ETag
+const CATALOG_CACHE_CONTROL = 'public, max-age=0, s-maxage=300';
+
+// Schema dos itens do catálogo, validado pelo JsonDatabase em create/update
+const itemSchema = {
+    type: 'object',
+    required: ['name', 'category', 'unit'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        category: { type: 'string', minLength: 1 },
+        brand: { type: ['string', 'null'], default: null },
+        unit: { type: 'string', minLength: 1 }, // "kg", "un", "litro"
+        averagePrice: { type: ['number', 'null'], minimum: 0, default: null },
+        barcode: { type: ['string', 'null'], default: null },
+        description: { type: ['string', 'null'], default: null },
+        active: { type: 'boolean', default: true },
+        deletedAt: { type: ['string', 'null'], format: 'date-time' },
+    },
+};
 
 class ItemService {
     constructor() {
@@ -16,6 +44,8 @@ class ItemService {
         this.port = process.env.PORT || 3003;
         this.serviceName = 'item-service';
         this.serviceUrl = `http://localhost:${this.port}`;
+        // Sem INTERNAL_AUTH_SECRET nenhuma identidade do gateway seria aceita: falha já aqui
+        internalSecret();
 
         this.setupDatabase();
         this.setupMiddleware();
@@ -25,16 +55,25 @@ class ItemService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.itemsDb = new JsonDatabase(dbPath, 'items');
+        this.backups = new BackupManager({
+            services: [{ name: this.serviceName, dbPath }],
+            backupDir: process.env.BACKUP_DIR || path.join(__dirname, 'backups')
+        });
+        // Itens removidos ficam marcados com deletedAt (soft delete) e podem ser restaurados
+        this.itemsDb = new JsonDatabase(dbPath, 'items', { schema: itemSchema, softDelete: true });
+        this.itemsDb.createIndex('category')
+            .catch(error => console.error('[Item Service] Erro ao criar índices:', error.message));
         console.log('[Item Service] Banco NoSQL inicializado');
     }
 
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({ exposedHeaders: ['ETag', 'Link', 'X-Total-Count'] }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        // Prazo enviado pelo gateway (X-Request-Deadline): 504 se já venceu
+        this.app.use(deadlineMiddleware);
 
         // Info
         this.app.use((req, res, next) => {
@@ -46,20 +85,8 @@ class ItemService {
     }
 
     // --- Auth (apenas para criação/atualização) ---
-    authMiddleware = (req, res, next) => {
-        const authHeader = req.header('Authorization');
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, message: 'Token obrigatório' });
-        }
-        const token = authHeader.replace('Bearer ', '');
-        try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
-            req.user = decoded;
-            return next();
-        } catch (err) {
-            return res.status(401).json({ success: false, message: 'Token inválido' });
-        }
-    };
+    // O gateway valida o JWT e repassa o usuário no header assinado X-User-Identity
+    authMiddleware = identityMiddleware;
 
     // --- Rotas ---
     setupRoutes() {
@@ -72,7 +99,12 @@ class ItemService {
                     status: 'healthy',
                     timestamp: new Date().toISOString(),
                     version: '1.0.0',
-                    database: { type: 'JSON-NoSQL', itemCount: count },
+                    database: {
+                        type: 'JSON-NoSQL',
+                        storage: this.itemsDb.getStorageInfo(),
+                        itemCount: count,
+                        cache: this.itemsDb.getCacheStats()
+                    },
                 });
             } catch (e) {
                 res.status(503).json({ service: this.serviceName, status: 'unhealthy', error: e.message });
@@ -90,6 +122,8 @@ class ItemService {
                     'GET /items/:id',
                     'POST /items',
                     'PUT /items/:id',
+                    'DELETE /items/:id',
+                    'POST /items/:id/restore',
                     'GET /categories',
                     'GET /search?q=termo'
                 ]
@@ -99,35 +133,36 @@ class ItemService {
         /**
          * GET /items
          * Filtros: ?category=...&name=...
-         * Paginação opcional: ?page=1&limit=20
+         * Paginação por cursor: ?limit=20&after=<nextCursor>&includeTotal=true (header Link)
+         * Campos: ?fields=name,averagePrice (ou ?fields=-description)
          */
         this.app.get('/items', async (req, res) => {
             try {
-                const { category, name, page = 1, limit = 20 } = req.query;
+                const { category, name } = req.query;
                 const filter = { active: true };
 
                 if (category) filter.category = category;
                 if (name) filter.name = { $regex: name, $options: 'i' };
 
-                const skip = (parseInt(page) - 1) * parseInt(limit);
-                const items = await this.itemsDb.find(filter, {
-                    skip,
-                    limit: parseInt(limit),
-                    sort: { createdAt: -1 }
+                const { limit, after, includeTotal } = parsePagination(req.query);
+                const page = await this.itemsDb.findPage(filter, {
+                    sort: { createdAt: -1 },
+                    limit,
+                    after,
+                    includeTotal,
+                    projection: parseFields(req.query.fields)
                 });
-                const total = await this.itemsDb.count(filter);
 
+                res.set('Cache-Control', CATALOG_CACHE_CONTROL);
                 res.json({
                     success: true,
-                    data: items,
-                    pagination: {
-                        page: parseInt(page),
-                        limit: parseInt(limit),
-                        total,
-                        pages: Math.ceil(total / parseInt(limit))
-                    }
+                    data: page.documents,
+                    pagination: paginationHeaders(req, res, page, { limit })
                 });
             } catch (err) {
+                if (err.code === 'INVALID_CURSOR' || err.code === 'INVALID_FIELDS') {
+                    return res.status(400).json({ success: false, message: err.message });
+                }
                 console.error('[Item Service] GET /items error:', err);
                 res.status(500).json({ success: false, message: 'Erro interno do servidor' });
             }
@@ -135,15 +170,21 @@ class ItemService {
 
         /**
          * GET /items/:id
+         * Campos: ?fields=... (o ETag continua sendo o do item inteiro)
          */
         this.app.get('/items/:id', async (req, res) => {
             try {
+                const projection = parseFields(req.query.fields);
                 const item = await this.itemsDb.findById(req.params.id);
                 if (!item) {
                     return res.status(404).json({ success: false, message: 'Item não encontrado' });
                 }
-                res.json({ success: true, data: item });
+                res.set({ ETag: formatETag(item), 'Cache-Control': CATALOG_CACHE_CONTROL });
+                res.json({ success: true, data: this.itemsDb.projectDocument(item, projection) });
             } catch (err) {
+                if (err.code === 'INVALID_FIELDS') {
+                    return res.status(400).json({ success: false, message: err.message });
+                }
                 console.error('[Item Service] GET /items/:id error:', err);
                 res.status(500).json({ success: false, message: 'Erro interno do servidor' });
             }
@@ -161,18 +202,14 @@ class ItemService {
                     active = true
                 } = req.body;
 
-                // validação simples
-                if (!name || !category || !unit) {
-                    return res.status(400).json({ success: false, message: 'name, category e unit são obrigatórios' });
-                }
-
+                // campos obrigatórios, tipos e defaults ficam a cargo do itemSchema
                 const newItem = await this.itemsDb.create({
                     id: uuidv4(),
                     name,
                     category,
                     brand: brand || null,
-                    unit, // "kg", "un", "litro"
-                    averagePrice: typeof averagePrice === 'number' ? averagePrice : null,
+                    unit,
+                    averagePrice,
                     barcode: barcode || null,
                     description: description || null,
                     active: Boolean(active),
@@ -180,6 +217,9 @@ class ItemService {
 
                 res.status(201).json({ success: true, message: 'Item criado', data: newItem });
             } catch (err) {
+                if (err.code === 'VALIDATION_ERROR') {
+                    return res.status(400).json({ success: false, message: 'Dados inválidos', errors: err.errors });
+                }
                 console.error('[Item Service] POST /items error:', err);
                 res.status(500).json({ success: false, message: 'Erro interno do servidor' });
             }
@@ -187,35 +227,119 @@ class ItemService {
 
         /**
          * PUT /items/:id  (requer autenticação também — mais seguro)
+         * Header opcional If-Match: ETag do GET; responde 412 se o item mudou desde então
          */
         this.app.put('/items/:id', this.authMiddleware, async (req, res) => {
             try {
+                const expectedVersion = parseIfMatch(req.get('If-Match'));
                 const updates = {};
                 const allowed = ['name','category','brand','unit','averagePrice','barcode','description','active'];
                 for (const k of allowed) {
                     if (req.body[k] !== undefined) updates[k] = req.body[k];
                 }
 
-                const updated = await this.itemsDb.update(req.params.id, updates);
+                const updated = await this.itemsDb.update(req.params.id, updates, { expectedVersion });
                 if (!updated) {
                     return res.status(404).json({ success: false, message: 'Item não encontrado' });
                 }
+                res.set('ETag', formatETag(updated));
                 res.json({ success: true, message: 'Item atualizado', data: updated });
             } catch (err) {
+                if (err.code === 'VALIDATION_ERROR') {
+                    return res.status(400).json({ success: false, message: 'Dados inválidos', errors: err.errors });
+                }
+                if (err.code === 'VERSION_CONFLICT') {
+                    return res.status(412).json({
+                        success: false,
+                        message: 'O item foi alterado por outra requisição; recarregue e tente novamente',
+                        currentVersion: err.currentVersion,
+                    });
+                }
+                if (err.status === 400) {
+                    return res.status(400).json({ success: false, message: err.message });
+                }
                 console.error('[Item Service] PUT /items/:id error:', err);
                 res.status(500).json({ success: false, message: 'Erro interno do servidor' });
             }
         });
 
+        /**
+         * DELETE /items/:id  (requer autenticação)
+         * Soft delete: o item some do catálogo, mas pode ser restaurado
+         * Header opcional If-Match, como no PUT
+         */
+        this.app.delete('/items/:id', this.authMiddleware, async (req, res) => {
+            try {
+                const expectedVersion = parseIfMatch(req.get('If-Match'));
+                const deleted = await this.itemsDb.delete(req.params.id, { expectedVersion });
+                if (!deleted) {
+                    return res.status(404).json({ success: false, message: 'Item não encontrado' });
+                }
+                res.json({ success: true, message: 'Item removido' });
+            } catch (err) {
+                if (err.code === 'VERSION_CONFLICT') {
+                    return res.status(412).json({
+                        success: false,
+                        message: 'O item foi alterado por outra requisição; recarregue e tente novamente',
+                        currentVersion: err.currentVersion,
+                    });
+                }
+                if (err.status === 400) {
+                    return res.status(400).json({ success: false, message: err.message });
+                }
+                console.error('[Item Service] DELETE /items/:id error:', err);
+                res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+            }
+        });
+
+        /**
+         * POST /items/:id/restore  (requer autenticação)
+         * Restaura um item removido
+         */
+        this.app.post('/items/:id/restore', this.authMiddleware, async (req, res) => {
+            try {
+                const restored = await this.itemsDb.restore(req.params.id);
+                if (!restored) {
+                    return res.status(404).json({ success: false, message: 'Item removido não encontrado' });
+                }
+                res.set('ETag', formatETag(restored));
+                res.json({ success: true, message: 'Item restaurado', data: restored });
+            } catch (err) {
+                console.error('[Item Service] POST /items/:id/restore error:', err);
+                res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+            }
+        });
+
         /**
          * GET /categories
          * Lista categorias distintas
+         * ?withStats=true devolve também quantidade de itens e preço médio por categoria
          */
-        this.app.get('/categories', async (_req, res) => {
+        this.app.get('/categories', async (req, res) => {
             try {
-                const all = await this.itemsDb.find();
-                const categories = [...new Set(all.map(i => i.category).filter(Boolean))].sort();
-                res.json({ success: true, data: categories });
+                const stats = await this.itemsDb.aggregate([
+                    { $match: { category: { $exists: true, $nin: [null, ''] } } },
+                    {
+                        $group: {
+                            _id: '$category',
+                            itemCount: { $count: {} },
+                            averagePrice: { $avg: '$averagePrice' }
+                        }
+                    },
+                    { $sort: { _id: 1 } }
+                ]);
+
+                if (req.query.withStats === 'true') {
+                    const data = stats.map(s => ({
+                        category: s._id,
+                        itemCount: s.itemCount,
+                        averagePrice: s.averagePrice === null ? null : Number(s.averagePrice.toFixed(2))
+                    }));
+                    return res.set('Cache-Control', CATALOG_CACHE_CONTROL).json({ success: true, data });
+                }
+
+                res.set('Cache-Control', CATALOG_CACHE_CONTROL);
+                res.json({ success: true, data: stats.map(s => s._id) });
             } catch (err) {
                 console.error('[Item Service] GET /categories error:', err);
                 res.status(500).json({ success: false, message: 'Erro interno do servidor' });
@@ -225,6 +349,7 @@ class ItemService {
         /**
          * GET /search?q=termo
          * Busca por nome (full-text simples no JsonDatabase)
+         * Campos: ?fields=... aplicado a cada resultado
          */
         this.app.get('/search', async (req, res) => {
             try {
@@ -232,14 +357,23 @@ class ItemService {
                 if (!q) {
                     return res.status(400).json({ success: false, message: 'Parâmetro "q" é obrigatório' });
                 }
+                const projection = parseFields(req.query.fields);
                 const results = await this.itemsDb.search(q, ['name']);
-                const activeOnly = results.filter(r => r.active !== false).slice(0, parseInt(limit));
+                const activeOnly = results.filter(r => r.active !== false).slice(0, parseInt(limit))
+                    .map(r => this.itemsDb.projectDocument(r, projection));
+                res.set('Cache-Control', CATALOG_CACHE_CONTROL);
                 res.json({ success: true, data: { query: q, results: activeOnly, total: activeOnly.length } });
             } catch (err) {
+                if (err.code === 'INVALID_FIELDS') {
+                    return res.status(400).json({ success: false, message: err.message });
+                }
                 console.error('[Item Service] GET /search error:', err);
                 res.status(500).json({ success: false, message: 'Erro interno do servidor' });
             }
         });
+
+        // Backups do banco do serviço (admin)
+        registerBackupRoutes(this.app, { backups: this.backups, authMiddleware: this.authMiddleware, logPrefix: '[Item Service]' });
     }
 
     setupErrorHandling() {
@@ -254,21 +388,41 @@ class ItemService {
     }
 
     registerWithRegistry() {
+        // Várias instâncias do serviço podem rodar juntas (PORT diferente em cada uma);
+        // INSTANCE_ID fixa o identificador no registry
         serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
+            instanceId: process.env.INSTANCE_ID,
             version: '1.0.0',
             database: 'JSON-NoSQL',
-            endpoints: ['/health','/items','/items/:id','/categories','/search']
+            endpoints: ['/health','/items','/items/:id','/items/:id/restore','/categories','/search']
         });
     }
 
+    // Heartbeats renovam o lease da instância no registry (REGISTRY_LEASE_TTL_MS)
     startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+        serviceRegistry.startHeartbeat(this.serviceName);
     }
 
-    start() {
+    // Migrações pendentes rodam antes de aceitar requisições (MIGRATE_ON_START=false desativa)
+    async runMigrations() {
+        if (process.env.MIGRATE_ON_START === 'false') return;
+
+        const runner = new MigrationRunner({
+            dbPath: path.join(__dirname, 'database'),
+            migrationsDir: path.join(__dirname, 'migrations')
+        });
+        await runner.up();
+    }
+
+    async start() {
+        try {
+            await this.runMigrations();
+        } catch (error) {
+            console.error('[Item Service] Falha ao aplicar migrações:', error.message);
+            process.exit(1);
+        }
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`Item Service na porta ${this.port}`);
@@ -289,12 +443,10 @@ if (require.main === module) {
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
+        Promise.resolve(serviceRegistry.unregister('item-service')).finally(() => process.exit(0));
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
+        Promise.resolve(serviceRegistry.unregister('item-service')).finally(() => process.exit(0));
     });
 }
 
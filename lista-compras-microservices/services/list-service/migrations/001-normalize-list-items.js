@@ -0,0 +1,44 @@
+// Entradas de listas gravadas por versões anteriores do serviço variam de formato
+// (campos ausentes, números como string); normaliza cada entrada e recalcula o summary.
+// Só as listas que mudaram são regravadas; nelas o _version sobe, pois o cliente passa a
+// receber outros valores
+module.exports = {
+    description: 'Normaliza os itens das listas e recalcula o summary',
+
+    async up({ collection, log }) {
+        const lists = collection('lists');
+        let updated = 0;
+
+        for (const list of await lists.find()) {
+            const items = (Array.isArray(list.items) ? list.items : []).map(entry => ({
+                itemId: String(entry.itemId),
+                itemName: entry.itemName,
+                quantity: Number(entry.quantity) || 0,
+                unit: entry.unit || 'un',
+                estimatedPrice: Number(entry.estimatedPrice) || 0,
+                purchased: Boolean(entry.purchased),
+                notes: entry.notes || null,
+                addedAt: entry.addedAt || list.createdAt
+            }));
+
+            const estimatedTotal = items.reduce((acc, entry) => acc + entry.quantity * entry.estimatedPrice, 0);
+            const summary = {
+                totalItems: items.length,
+                purchasedItems: items.filter(entry => entry.purchased).length,
+                estimatedTotal: Number(estimatedTotal.toFixed(2))
+            };
+
+            if (JSON.stringify(items) === JSON.stringify(list.items) &&
+                JSON.stringify(summary) === JSON.stringify(list.summary)) {
+                continue;
+            }
+
+            await lists.update(list.id, { $set: { items, summary } });
+            updated++;
+        }
+
+        log(`${updated} lista(s) normalizada(s)`);
+        return { updated };
+    }
+    // Sem down: a normalização não guarda o formato anterior das entradas
+};
@@ -3,7 +3,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
@@ -11,6 +10,53 @@ const path = require('path');
 // Shared
 const JsonDatabase = require('../../shared/JsonDatabase');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { formatETag, parseIfMatch } = require('../../shared/documentVersion');
+const { parsePagination, paginationHeaders } = require('../../shared/pagination');
+const { parseFields } = require('../../shared/fields');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const BackupManager = require('../../shared/BackupManager');
+const registerBackupRoutes = require('../../shared/backupRoutes');
+const { deadlineMiddleware, deadlineHeaders, remainingMs } = require('../../shared/deadline');
+const { identityMiddleware, internalSecret } = require('../../shared/identity');
+
+// Schema das listas de compras, validado pelo JsonDatabase em create/update
+const listItemSchema = {
+    type: 'object',
+    required: ['itemId', 'quantity'],
+    properties: {
+        itemId: { type: 'string', minLength: 1 },
+        itemName: { type: 'string' },
+        quantity: { type: 'number', minimum: 0 },
+        unit: { type: 'string', default: 'un' },
+        estimatedPrice: { type: 'number', minimum: 0, default: 0 },
+        purchased: { type: 'boolean', default: false },
+        notes: { type: ['string', 'null'], default: null },
+        addedAt: { type: 'string', format: 'date-time' },
+    },
+};
+
+const listSchema = {
+    type: 'object',
+    required: ['userId', 'name'],
+    properties: {
+        userId: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        description: { type: ['string', 'null'], default: null },
+        status: { type: 'string', enum: ['active', 'completed', 'archived'], default: 'active' },
+        archivedAt: { type: ['string', 'null'], format: 'date-time' },
+        deletedAt: { type: ['string', 'null'], format: 'date-time' },
+        items: { type: 'array', items: listItemSchema, default: [] },
+        summary: {
+            type: 'object',
+            properties: {
+                totalItems: { type: 'integer', minimum: 0 },
+                purchasedItems: { type: 'integer', minimum: 0 },
+                estimatedTotal: { type: 'number', minimum: 0 },
+            },
+            default: { totalItems: 0, purchasedItems: 0, estimatedTotal: 0 },
+        },
+    },
+};
 
 class ListService {
     constructor() {
@@ -18,6 +64,8 @@ class ListService {
         this.port = process.env.PORT || 3002;
         this.serviceName = 'list-service';
         this.serviceUrl = `http://localhost:${this.port}`;
+        // Sem INTERNAL_AUTH_SECRET nenhuma identidade do gateway seria aceita: falha já aqui
+        internalSecret();
 
         this.setupDatabase();
         this.setupMiddleware();
@@ -27,16 +75,38 @@ class ListService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.listsDb = new JsonDatabase(dbPath, 'lists');
+        this.backups = new BackupManager({
+            services: [{ name: this.serviceName, dbPath }],
+            backupDir: process.env.BACKUP_DIR || path.join(__dirname, 'backups')
+        });
+        // Listas apagadas vão para a lixeira (soft delete); listas arquivadas e as que estão
+        // na lixeira expiram depois do prazo configurado
+        const days = (value, fallback) => (Number(value) || fallback) * 24 * 60 * 60;
+        this.listsDb = new JsonDatabase(dbPath, 'lists', {
+            schema: listSchema,
+            softDelete: true,
+            ttl: [
+                { field: 'archivedAt', expireAfterSeconds: days(process.env.ARCHIVED_LIST_TTL_DAYS, 30) },
+                { field: 'deletedAt', expireAfterSeconds: days(process.env.TRASH_TTL_DAYS, 30) }
+            ]
+        });
+
+        // Consultas sempre filtram pelo dono da lista (e opcionalmente pelo status)
+        Promise.all([
+            this.listsDb.createIndex('userId'),
+            this.listsDb.createIndex(['userId', 'status'])
+        ]).catch(error => console.error('[List Service] Erro ao criar índices:', error.message));
         console.log('[List Service] Banco NoSQL inicializado');
     }
 
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({ exposedHeaders: ['ETag', 'Link', 'X-Total-Count'] }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        // Prazo enviado pelo gateway (X-Request-Deadline): 504 se já venceu
+        this.app.use(deadlineMiddleware);
 
         // Headers informativos
         this.app.use((req, res, next) => {
@@ -47,33 +117,30 @@ class ListService {
         });
     }
 
-    // ==== AUTH (todas as rotas de lista exigem token) ====
-    authMiddleware = (req, res, next) => {
-        const authHeader = req.header('Authorization');
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, message: 'Token obrigatório' });
-        }
-        const token = authHeader.replace('Bearer ', '');
-        try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
-            req.user = decoded;
-            return next();
-        } catch (err) {
-            return res.status(401).json({ success: false, message: 'Token inválido' });
-        }
-    };
+    // ==== AUTH (todas as rotas de lista exigem usuário) ====
+    // O gateway valida o JWT e repassa o usuário no header assinado X-User-Identity
+    authMiddleware = identityMiddleware;
 
     // ==== HELPERS ====
-    async discoverItemServiceBaseUrl() {
-        const svc = serviceRegistry.discover('item-service'); // lança erro se indisponível
-        return svc.url;
+    // Uma das instâncias saudáveis do item-service, escolhida pelo balanceador (LB_STRATEGY)
+    discoverItemService() {
+        return serviceRegistry.discover('item-service'); // lança erro se indisponível
     }
 
-    async fetchItemById(itemId) {
-        const base = await this.discoverItemServiceBaseUrl();
-        const { data } = await axios.get(`${base}/items/${itemId}`, { timeout: 5000 });
-        if (!data?.success) throw new Error('Item Service retornou formato inesperado');
-        return data.data;
+    // deadline: prazo da requisição original, repassado ao item-service
+    async fetchItemById(itemId, deadline = null) {
+        const instance = this.discoverItemService();
+        const release = serviceRegistry.acquire(instance);
+        try {
+            const { data } = await axios.get(`${instance.url}/items/${itemId}`, {
+                timeout: remainingMs(deadline, 5000),
+                headers: deadlineHeaders(deadline),
+            });
+            if (!data?.success) throw new Error('Item Service retornou formato inesperado');
+            return data.data;
+        } finally {
+            release();
+        }
     }
 
     ensureOwnership(list, userId) {
@@ -84,6 +151,24 @@ class ListService {
         }
     }
 
+    // Resposta de erro das rotas de uma lista específica
+    sendError(res, err) {
+        if (err.code === 'VALIDATION_ERROR') {
+            return res.status(400).json({ success: false, message: 'Dados inválidos', errors: err.errors });
+        }
+        if (err.code === 'VERSION_CONFLICT') {
+            return res.status(412).json({
+                success: false,
+                message: 'A lista foi alterada por outra requisição; recarregue e tente novamente',
+                currentVersion: err.currentVersion,
+            });
+        }
+
+        const status = err.status || 500;
+        const messages = { 400: err.message, 404: 'Lista não encontrada' };
+        res.status(status).json({ success: false, message: messages[status] || 'Erro interno do servidor' });
+    }
+
     recalcSummary(list) {
         const totalItems = list.items.length;
         const purchasedItems = list.items.filter(i => i.purchased).length;
@@ -107,7 +192,12 @@ class ListService {
                     status: 'healthy',
                     timestamp: new Date().toISOString(),
                     version: '1.0.0',
-                    database: { type: 'JSON-NoSQL', listCount: count },
+                    database: {
+                        type: 'JSON-NoSQL',
+                        storage: this.listsDb.getStorageInfo(),
+                        listCount: count,
+                        cache: this.listsDb.getCacheStats()
+                    },
                 });
             } catch (e) {
                 res.status(503).json({ service: this.serviceName, status: 'unhealthy', error: e.message });
@@ -126,10 +216,15 @@ class ListService {
                     'GET /lists/:id',
                     'PUT /lists/:id',
                     'DELETE /lists/:id',
+                    'GET /lists/trash',
+                    'POST /lists/:id/restore',
+                    'DELETE /lists/trash/:id',
                     'POST /lists/:id/items',
                     'PUT /lists/:id/items/:itemId',
                     'DELETE /lists/:id/items/:itemId',
                     'GET /lists/:id/summary',
+                    'GET /lists/:id/changes',
+                    'GET /lists/stats',
                 ],
             });
         });
@@ -138,9 +233,6 @@ class ListService {
         this.app.post('/lists', this.authMiddleware, async (req, res) => {
             try {
                 const { name, description } = req.body;
-                if (!name) {
-                    return res.status(400).json({ success: false, message: 'Nome é obrigatório' });
-                }
 
                 const newList = await this.listsDb.create({
                     id: uuidv4(),
@@ -154,57 +246,134 @@ class ListService {
 
                 res.status(201).json({ success: true, message: 'Lista criada', data: newList });
             } catch (err) {
+                if (err.code === 'VALIDATION_ERROR') {
+                    return res.status(400).json({ success: false, message: 'Dados inválidos', errors: err.errors });
+                }
                 console.error('[List Service] POST /lists error:', err);
                 res.status(500).json({ success: false, message: 'Erro interno do servidor' });
             }
         });
 
         // ---- Listar listas do usuário ----
+        // Paginação por cursor: ?limit=20&after=<nextCursor>&includeTotal=true (header Link)
+        // Campos: ?fields=name,status,summary (ou ?fields=-items)
         this.app.get('/lists', this.authMiddleware, async (req, res) => {
             try {
-                const { page = 1, limit = 20, status } = req.query;
+                const { status } = req.query;
                 const filter = { userId: req.user.id };
                 if (status) filter.status = status;
 
-                const skip = (parseInt(page) - 1) * parseInt(limit);
-                const lists = await this.listsDb.find(filter, {
-                    skip,
-                    limit: parseInt(limit),
+                const { limit, after, includeTotal } = parsePagination(req.query);
+                const page = await this.listsDb.findPage(filter, {
                     sort: { updatedAt: -1 },
+                    limit,
+                    after,
+                    includeTotal,
+                    projection: parseFields(req.query.fields),
                 });
-                const total = await this.listsDb.count(filter);
 
                 res.json({
                     success: true,
-                    data: lists,
-                    pagination: {
-                        page: parseInt(page),
-                        limit: parseInt(limit),
-                        total,
-                        pages: Math.ceil(total / parseInt(limit)),
-                    },
+                    data: page.documents,
+                    pagination: paginationHeaders(req, res, page, { limit }),
                 });
             } catch (err) {
+                if (err.code === 'INVALID_CURSOR' || err.code === 'INVALID_FIELDS') {
+                    return res.status(400).json({ success: false, message: err.message });
+                }
                 console.error('[List Service] GET /lists error:', err);
                 res.status(500).json({ success: false, message: 'Erro interno do servidor' });
             }
         });
 
+        // ---- Estatísticas agregadas das listas do usuário ----
+        // (registrada antes de /lists/:id para não ser capturada como id)
+        this.app.get('/lists/stats', this.authMiddleware, async (req, res) => {
+            try {
+                const [totals] = await this.listsDb.aggregate([
+                    { $match: { userId: req.user.id } },
+                    {
+                        $group: {
+                            _id: null,
+                            totalLists: { $count: {} },
+                            totalItems: { $sum: '$summary.totalItems' },
+                            purchasedItems: { $sum: '$summary.purchasedItems' },
+                            estimatedTotal: { $sum: '$summary.estimatedTotal' },
+                        },
+                    },
+                ]);
+
+                const byStatus = await this.listsDb.aggregate([
+                    { $match: { userId: req.user.id } },
+                    { $group: { _id: '$status', lists: { $count: {} }, estimatedTotal: { $sum: '$summary.estimatedTotal' } } },
+                    { $sort: { _id: 1 } },
+                    { $project: { _id: 0, status: '$_id', lists: 1, estimatedTotal: 1 } },
+                ]);
+
+                const data = {
+                    totalLists: totals?.totalLists || 0,
+                    totalItems: totals?.totalItems || 0,
+                    purchasedItems: totals?.purchasedItems || 0,
+                    estimatedTotal: Number((totals?.estimatedTotal || 0).toFixed(2)),
+                    byStatus: byStatus.map(s => ({ ...s, estimatedTotal: Number(s.estimatedTotal.toFixed(2)) })),
+                };
+
+                res.json({ success: true, data });
+            } catch (err) {
+                console.error('[List Service] GET /lists/stats error:', err);
+                res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+            }
+        });
+
+        // ---- Lixeira: listas apagadas do usuário ----
+        this.app.get('/lists/trash', this.authMiddleware, async (req, res) => {
+            try {
+                const lists = await this.listsDb.find({ userId: req.user.id }, {
+                    onlyDeleted: true,
+                    sort: { deletedAt: -1 },
+                    projection: parseFields(req.query.fields),
+                });
+                res.json({ success: true, data: lists });
+            } catch (err) {
+                if (err.code === 'INVALID_FIELDS') {
+                    return res.status(400).json({ success: false, message: err.message });
+                }
+                console.error('[List Service] GET /lists/trash error:', err);
+                res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+            }
+        });
+
+        // ---- Excluir definitivamente uma lista da lixeira ----
+        this.app.delete('/lists/trash/:id', this.authMiddleware, async (req, res) => {
+            try {
+                const list = await this.listsDb.findById(req.params.id, { onlyDeleted: true });
+                this.ensureOwnership(list, req.user.id);
+                await this.listsDb.purge(list.id);
+                res.json({ success: true, message: 'Lista excluída definitivamente' });
+            } catch (err) {
+                this.sendError(res, err);
+            }
+        });
+
         // ---- Buscar lista específica ----
+        // Campos: ?fields=... (o ETag continua sendo o da lista inteira)
         this.app.get('/lists/:id', this.authMiddleware, async (req, res) => {
             try {
+                const projection = parseFields(req.query.fields);
                 const list = await this.listsDb.findById(req.params.id);
                 this.ensureOwnership(list, req.user.id);
-                res.json({ success: true, data: list });
+                res.set('ETag', formatETag(list));
+                res.json({ success: true, data: this.listsDb.projectDocument(list, projection) });
             } catch (err) {
-                const status = err.status || 500;
-                res.status(status).json({ success: false, message: status === 404 ? 'Lista não encontrada' : 'Erro interno do servidor' });
+                this.sendError(res, err);
             }
         });
 
         // ---- Atualizar lista (nome, descrição, status) ----
+        // If-Match com o ETag da lista evita sobrescrever alterações feitas por outro dispositivo
         this.app.put('/lists/:id', this.authMiddleware, async (req, res) => {
             try {
+                const expectedVersion = parseIfMatch(req.get('If-Match'));
                 const list = await this.listsDb.findById(req.params.id);
                 this.ensureOwnership(list, req.user.id);
 
@@ -212,37 +381,54 @@ class ListService {
                 if (req.body.name !== undefined) updates.name = req.body.name;
                 if (req.body.description !== undefined) updates.description = req.body.description;
                 if (req.body.status !== undefined) {
-                    const allowed = ['active', 'completed', 'archived'];
-                    if (!allowed.includes(req.body.status)) {
-                        return res.status(400).json({ success: false, message: 'Status inválido' });
+                    updates.status = req.body.status; // validado pelo enum do schema
+                    // archivedAt marca o início do prazo de expiração das listas arquivadas
+                    if (updates.status === 'archived' && list.status !== 'archived') {
+                        updates.archivedAt = new Date().toISOString();
+                    } else if (updates.status !== 'archived') {
+                        updates.archivedAt = null;
                     }
-                    updates.status = req.body.status;
                 }
 
-                const updated = await this.listsDb.update(list.id, updates);
+                const updated = await this.listsDb.update(list.id, updates, { expectedVersion });
+                res.set('ETag', formatETag(updated));
                 res.json({ success: true, message: 'Lista atualizada', data: updated });
             } catch (err) {
-                const status = err.status || 500;
-                res.status(status).json({ success: false, message: status === 404 ? 'Lista não encontrada' : 'Erro interno do servidor' });
+                this.sendError(res, err);
             }
         });
 
-        // ---- Deletar lista ----
+        // ---- Deletar lista (vai para a lixeira) ----
         this.app.delete('/lists/:id', this.authMiddleware, async (req, res) => {
             try {
+                const expectedVersion = parseIfMatch(req.get('If-Match'));
                 const list = await this.listsDb.findById(req.params.id);
                 this.ensureOwnership(list, req.user.id);
-                await this.listsDb.delete(list.id);
-                res.json({ success: true, message: 'Lista deletada' });
+                await this.listsDb.delete(list.id, { expectedVersion });
+                res.json({ success: true, message: 'Lista movida para a lixeira' });
             } catch (err) {
-                const status = err.status || 500;
-                res.status(status).json({ success: false, message: status === 404 ? 'Lista não encontrada' : 'Erro interno do servidor' });
+                this.sendError(res, err);
+            }
+        });
+
+        // ---- Restaurar lista da lixeira ----
+        this.app.post('/lists/:id/restore', this.authMiddleware, async (req, res) => {
+            try {
+                const list = await this.listsDb.findById(req.params.id, { onlyDeleted: true });
+                this.ensureOwnership(list, req.user.id);
+                const restored = await this.listsDb.restore(list.id);
+                this.ensureOwnership(restored, req.user.id);
+                res.set('ETag', formatETag(restored));
+                res.json({ success: true, message: 'Lista restaurada', data: restored });
+            } catch (err) {
+                this.sendError(res, err);
             }
         });
 
         // ---- Adicionar item à lista ----
         this.app.post('/lists/:id/items', this.authMiddleware, async (req, res) => {
             try {
+                const expectedVersion = parseIfMatch(req.get('If-Match'));
                 const { itemId, quantity, unit, estimatedPrice, notes } = req.body;
                 if (!itemId || quantity === undefined) {
                     return res.status(400).json({ success: false, message: 'itemId e quantity são obrigatórios' });
@@ -252,7 +438,7 @@ class ListService {
                 this.ensureOwnership(list, req.user.id);
 
                 // buscar dados do Item Service (nome, unit/averagePrice defaults)
-                const item = await this.fetchItemById(itemId);
+                const item = await this.fetchItemById(itemId, req.deadline);
 
                 const entry = {
                     itemId: itemId,
@@ -267,85 +453,147 @@ class ListService {
                     addedAt: new Date().toISOString(),
                 };
 
-                list.items.push(entry);
-                this.recalcSummary(list);
-
-                const updated = await this.listsDb.update(list.id, {
-                    items: list.items,
-                    summary: list.summary,
-                });
+                // $push evita sobrescrever itens adicionados em paralelo; o resumo sai da lista
+                // atual, sob o mesmo lock, na mesma escrita
+                const updated = await this.listsDb.update(list.id, (current) => ({
+                    $push: { items: entry },
+                    $set: { summary: this.recalcSummary({ items: [...(current.items || []), entry] }) },
+                }), { expectedVersion });
+                // Removida entre a leitura e a escrita
+                this.ensureOwnership(updated, req.user.id);
 
+                res.set('ETag', formatETag(updated));
                 res.status(201).json({ success: true, message: 'Item adicionado à lista', data: updated });
             } catch (err) {
                 if (axios.isAxiosError?.(err)) {
                     return res.status(502).json({ success: false, message: 'Falha ao consultar Item Service' });
                 }
-                const status = err.status || 500;
-                res.status(status).json({ success: false, message: status === 404 ? 'Lista não encontrada' : 'Erro interno do servidor' });
+                this.sendError(res, err);
             }
         });
 
         // ---- Atualizar item da lista ----
+        // O array de itens é regravado inteiro, então a escrita exige a versão lida:
+        // com If-Match um conflito vira 412; sem ele a alteração é reaplicada sobre a versão nova.
         this.app.put('/lists/:id/items/:itemId', this.authMiddleware, async (req, res) => {
             try {
-                const list = await this.listsDb.findById(req.params.id);
-                this.ensureOwnership(list, req.user.id);
+                const ifMatch = parseIfMatch(req.get('If-Match'));
 
-                const idx = list.items.findIndex(i => i.itemId === req.params.itemId);
-                if (idx === -1) {
-                    return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
-                }
+                for (let attempt = 1; ; attempt++) {
+                    const list = await this.listsDb.findById(req.params.id);
+                    this.ensureOwnership(list, req.user.id);
 
-                const allowed = ['quantity', 'unit', 'estimatedPrice', 'purchased', 'notes', 'itemName'];
-                for (const k of allowed) {
-                    if (req.body[k] !== undefined) {
-                        // normalizações
-                        if (k === 'quantity' || k === 'estimatedPrice') {
-                            list.items[idx][k] = Number(req.body[k]) || 0;
-                        } else if (k === 'purchased') {
-                            list.items[idx][k] = Boolean(req.body[k]);
-                        } else {
-                            list.items[idx][k] = req.body[k];
-                        }
+                    const idx = list.items.findIndex(i => i.itemId === req.params.itemId);
+                    if (idx === -1) {
+                        return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
                     }
-                }
 
-                this.recalcSummary(list);
-                const updated = await this.listsDb.update(list.id, {
-                    items: list.items,
-                    summary: list.summary,
-                });
+                    const allowed = ['quantity', 'unit', 'estimatedPrice', 'purchased', 'notes', 'itemName'];
+                    for (const k of allowed) {
+                        if (req.body[k] !== undefined) {
+                            // normalizações
+                            if (k === 'quantity' || k === 'estimatedPrice') {
+                                list.items[idx][k] = Number(req.body[k]) || 0;
+                            } else if (k === 'purchased') {
+                                list.items[idx][k] = Boolean(req.body[k]);
+                            } else {
+                                list.items[idx][k] = req.body[k];
+                            }
+                        }
+                    }
 
-                res.json({ success: true, message: 'Item atualizado', data: updated });
+                    this.recalcSummary(list);
+                    try {
+                        const updated = await this.listsDb.update(list.id, {
+                            items: list.items,
+                            summary: list.summary,
+                        }, { expectedVersion: ifMatch !== undefined ? ifMatch : list._version || 0 });
+
+                        res.set('ETag', formatETag(updated));
+                        return res.json({ success: true, message: 'Item atualizado', data: updated });
+                    } catch (err) {
+                        if (err.code !== 'VERSION_CONFLICT' || ifMatch !== undefined || attempt >= 3) throw err;
+                    }
+                }
             } catch (err) {
-                const status = err.status || 500;
-                res.status(status).json({ success: false, message: status === 404 ? 'Lista não encontrada' : 'Erro interno do servidor' });
+                this.sendError(res, err);
             }
         });
 
         // ---- Remover item da lista ----
         this.app.delete('/lists/:id/items/:itemId', this.authMiddleware, async (req, res) => {
             try {
+                const expectedVersion = parseIfMatch(req.get('If-Match'));
                 const list = await this.listsDb.findById(req.params.id);
                 this.ensureOwnership(list, req.user.id);
 
-                const before = list.items.length;
-                list.items = list.items.filter(i => i.itemId !== req.params.itemId);
-                if (list.items.length === before) {
+                if (!list.items.some(i => i.itemId === req.params.itemId)) {
                     return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
                 }
 
-                this.recalcSummary(list);
-                const updated = await this.listsDb.update(list.id, {
-                    items: list.items,
-                    summary: list.summary,
-                });
+                const updated = await this.listsDb.update(list.id, (current) => ({
+                    $pull: { items: { itemId: req.params.itemId } },
+                    $set: {
+                        summary: this.recalcSummary({
+                            items: (current.items || []).filter(i => i.itemId !== req.params.itemId),
+                        }),
+                    },
+                }), { expectedVersion });
+                // Removida entre a leitura e a escrita
+                this.ensureOwnership(updated, req.user.id);
 
+                res.set('ETag', formatETag(updated));
                 res.json({ success: true, message: 'Item removido', data: updated });
             } catch (err) {
-                const status = err.status || 500;
-                res.status(status).json({ success: false, message: status === 404 ? 'Lista não encontrada' : 'Erro interno do servidor' });
+                this.sendError(res, err);
+            }
+        });
+
+        // ---- Alterações da lista em tempo real (Server-Sent Events) ----
+        // Cada evento leva o seq como id: ao reconectar, o header Last-Event-ID retoma o fluxo
+        this.app.get('/lists/:id/changes', this.authMiddleware, async (req, res) => {
+            try {
+                const list = await this.listsDb.findById(req.params.id);
+                this.ensureOwnership(list, req.user.id);
+            } catch (err) {
+                return this.sendError(res, err);
             }
+
+            const lastEventId = req.get('Last-Event-ID');
+            const stream = this.listsDb.watch({ id: req.params.id }, {
+                resumeAfter: /^\d+$/.test(lastEventId || '') ? Number(lastEventId) : undefined,
+            });
+
+            res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+            res.flushHeaders();
+
+            const send = (event, id, data) => {
+                res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
+            stream.on('change', (change) => {
+                // Mover a lista para a lixeira encerra o fluxo como uma remoção
+                const deleted = change.operationType === 'delete' || Boolean(change.after?.deletedAt);
+                send(deleted ? 'delete' : change.operationType, change.seq, {
+                    seq: change.seq,
+                    at: change.at,
+                    data: deleted ? null : change.after,
+                });
+                if (deleted) {
+                    stream.close();
+                    res.end();
+                }
+            });
+            stream.on('error', (error) => {
+                send('error', undefined, { code: error.code, message: error.message });
+                res.end();
+            });
+
+            const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+            req.on('close', () => {
+                clearInterval(keepAlive);
+                stream.close();
+            });
         });
 
         // ---- Resumo da lista ----
@@ -354,9 +602,9 @@ class ListService {
                 const list = await this.listsDb.findById(req.params.id);
                 this.ensureOwnership(list, req.user.id);
 
+                // Só leitura: as escritas nos itens já gravam o summary; regravar aqui subiria o
+                // _version (412 nos ETags dos clientes) e o updatedAt a cada consulta
                 const summary = this.recalcSummary(list);
-                // Persistir o summary recalculado (mantém coerência)
-                await this.listsDb.update(list.id, { summary });
 
                 res.json({ success: true, data: summary });
             } catch (err) {
@@ -364,6 +612,9 @@ class ListService {
                 res.status(status).json({ success: false, message: status === 404 ? 'Lista não encontrada' : 'Erro interno do servidor' });
             }
         });
+
+        // Backups do banco do serviço (admin)
+        registerBackupRoutes(this.app, { backups: this.backups, authMiddleware: this.authMiddleware, logPrefix: '[List Service]' });
     }
 
     setupErrorHandling() {
@@ -378,8 +629,11 @@ class ListService {
     }
 
     registerWithRegistry() {
+        // Várias instâncias do serviço podem rodar juntas (PORT diferente em cada uma);
+        // INSTANCE_ID fixa o identificador no registry
         serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
+            instanceId: process.env.INSTANCE_ID,
             version: '1.0.0',
             database: 'JSON-NoSQL',
             endpoints: [
@@ -388,18 +642,48 @@ class ListService {
                 '/lists/:id',
                 '/lists/:id/items',
                 '/lists/:id/items/:itemId',
-                '/lists/:id/summary'
+                '/lists/:id/summary',
+                '/lists/:id/restore',
+                '/lists/trash',
+                '/lists/trash/:id',
+                '/lists/stats'
             ],
         });
     }
 
+    // Heartbeats renovam o lease da instância no registry (REGISTRY_LEASE_TTL_MS)
     startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+        serviceRegistry.startHeartbeat(this.serviceName);
     }
 
-    start() {
+    // Mantém em memória a visão das instâncias do item-service (discoverItemService não relê o
+    // registry a cada item buscado) e registra quando elas entram, saem ou caem
+    watchItemService() {
+        serviceRegistry.subscribe((event) => {
+            const state = event.type === 'removed' ? 'removida' : (event.healthy ? 'disponível' : 'indisponível');
+            console.log(`[List Service] item-service [${event.instanceId}] ${event.type} (${state})`);
+        }, { service: 'item-service' });
+    }
+
+    // Migrações pendentes rodam antes de aceitar requisições (MIGRATE_ON_START=false desativa)
+    async runMigrations() {
+        if (process.env.MIGRATE_ON_START === 'false') return;
+
+        const runner = new MigrationRunner({
+            dbPath: path.join(__dirname, 'database'),
+            migrationsDir: path.join(__dirname, 'migrations')
+        });
+        await runner.up();
+    }
+
+    async start() {
+        try {
+            await this.runMigrations();
+        } catch (error) {
+            console.error('[List Service] Falha ao aplicar migrações:', error.message);
+            process.exit(1);
+        }
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`List Service na porta ${this.port}`);
@@ -409,6 +693,7 @@ class ListService {
 
             this.registerWithRegistry();
             this.startHealthReporting();
+            this.watchItemService();
         });
     }
 }
@@ -420,12 +705,10 @@ if (require.main === module) {
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('list-service');
-        process.exit(0);
+        Promise.resolve(serviceRegistry.unregister('list-service')).finally(() => process.exit(0));
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('list-service');
-        process.exit(0);
+        Promise.resolve(serviceRegistry.unregister('list-service')).finally(() => process.exit(0));
     });
 }
 
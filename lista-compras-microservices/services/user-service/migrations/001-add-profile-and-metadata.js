@@ -0,0 +1,36 @@
+// Usuários antigos (ex.: o admin criado pelo seed) não têm `profile` nem `metadata`,
+// que o cadastro atual sempre grava
+module.exports = {
+    description: 'Preenche profile e metadata dos usuários criados antes desses campos',
+
+    async up({ collection, log }) {
+        const users = collection('users');
+        const changed = [];
+
+        for (const user of await users.find()) {
+            const updates = {};
+            if (user.profile === undefined) {
+                updates.profile = { bio: null, avatar: null, preferences: { theme: 'light', language: 'pt-BR' } };
+            }
+            if (user.metadata === undefined) {
+                updates.metadata = { registrationDate: user.createdAt, lastLogin: null, loginCount: 0 };
+            }
+            if (Object.keys(updates).length === 0) continue;
+
+            await users.update(user.id, { $set: updates });
+            changed.push({ id: user.id, fields: Object.keys(updates) });
+        }
+
+        log(`${changed.length} usuário(s) atualizado(s)`);
+        return { changed };
+    },
+
+    // Remove apenas os campos que esta migração criou
+    async down({ collection, result }) {
+        const users = collection('users');
+        for (const { id, fields } of result?.changed || []) {
+            const unset = Object.fromEntries(fields.map(field => [field, '']));
+            await users.update(id, { $unset: unset });
+        }
+    }
+};
@@ -10,6 +10,49 @@ const path = require('path');
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const { parsePagination, paginationHeaders } = require('../../shared/pagination');
+const { parseFields } = require('../../shared/fields');
+const BackupManager = require('../../shared/BackupManager');
+const registerBackupRoutes = require('../../shared/backupRoutes');
+const { deadlineMiddleware } = require('../../shared/deadline');
+const { identityMiddleware, jwtSecret, internalSecret } = require('../../shared/identity');
+
+// Schema dos usuários, validado pelo JsonDatabase em create/update
+const userSchema = {
+    type: 'object',
+    required: ['email', 'username', 'password', 'firstName', 'lastName'],
+    properties: {
+        email: { type: 'string', format: 'email' },
+        username: { type: 'string', minLength: 3 },
+        password: { type: 'string', minLength: 1 },
+        firstName: { type: 'string', minLength: 1 },
+        lastName: { type: 'string', minLength: 1 },
+        role: { type: 'string', enum: ['user', 'admin'], default: 'user' },
+        status: { type: 'string', enum: ['active', 'inactive'], default: 'active' },
+        profile: {
+            type: 'object',
+            properties: {
+                bio: { type: ['string', 'null'] },
+                avatar: { type: ['string', 'null'] },
+                preferences: {
+                    type: 'object',
+                    properties: {
+                        theme: { type: 'string', enum: ['light', 'dark'] },
+                        language: { type: 'string' }
+                    }
+                }
+            }
+        },
+        metadata: {
+            type: 'object',
+            properties: {
+                lastLogin: { type: ['string', 'null'] },
+                loginCount: { type: 'integer', minimum: 0 }
+            }
+        }
+    }
+};
 
 class UserService {
     constructor() {
@@ -17,6 +60,9 @@ class UserService {
         this.port = process.env.PORT || 3001;
         this.serviceName = 'user-service';
         this.serviceUrl = `http://localhost:${this.port}`;
+        // Segredos lidos na subida: sem eles o serviço não sobe
+        this.jwtSecret = jwtSecret();
+        internalSecret();
         
         this.setupDatabase();
         this.setupMiddleware();
@@ -27,7 +73,18 @@ class UserService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
+        this.backups = new BackupManager({
+            services: [{ name: this.serviceName, dbPath }],
+            backupDir: process.env.BACKUP_DIR || path.join(__dirname, 'backups')
+        });
+        this.usersDb = new JsonDatabase(dbPath, 'users', { schema: userSchema });
+
+        // Índices únicos garantem email/username exclusivos mesmo com cadastros simultâneos
+        Promise.all([
+            this.usersDb.createIndex('email', { unique: true }),
+            this.usersDb.createIndex('username', { unique: true })
+        ]).catch(error => console.error('User Service: erro ao criar índices:', error.message));
+
         console.log('User Service: Banco NoSQL inicializado');
     }
 
@@ -48,7 +105,20 @@ class UserService {
                         firstName: 'Administrador',
                         lastName: 'Sistema',
                         role: 'admin',
-                        status: 'active'
+                        status: 'active',
+                        profile: {
+                            bio: null,
+                            avatar: null,
+                            preferences: {
+                                theme: 'light',
+                                language: 'pt-BR'
+                            }
+                        },
+                        metadata: {
+                            registrationDate: new Date().toISOString(),
+                            lastLogin: null,
+                            loginCount: 0
+                        }
                     });
 
                     console.log('Usuário administrador criado (admin@microservices.com / admin123)');
@@ -61,10 +131,12 @@ class UserService {
 
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({ exposedHeaders: ['Link', 'X-Total-Count'] }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        // Prazo enviado pelo gateway (X-Request-Deadline): 504 se já venceu
+        this.app.use(deadlineMiddleware);
 
         // Service info headers
         this.app.use((req, res, next) => {
@@ -88,7 +160,9 @@ class UserService {
                     version: '1.0.0',
                     database: {
                         type: 'JSON-NoSQL',
-                        userCount: userCount
+                        storage: this.usersDb.getStorageInfo(),
+                        userCount: userCount,
+                        cache: this.usersDb.getCacheStats()
                     }
                 });
             } catch (error) {
@@ -131,6 +205,9 @@ class UserService {
         
         // Search route
         this.app.get('/search', this.authMiddleware.bind(this), this.searchUsers.bind(this));
+
+        // Backups do banco do serviço (admin)
+        registerBackupRoutes(this.app, { backups: this.backups, authMiddleware: this.authMiddleware.bind(this), logPrefix: 'User Service:' });
     }
 
     setupErrorHandling() {
@@ -152,29 +229,13 @@ class UserService {
         });
     }
 
-    // Auth middleware
+    // Auth middleware: o gateway valida o JWT e repassa o usuário no header assinado X-User-Identity
     authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-        
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                message: 'Token obrigatório'
-            });
-        }
+        identityMiddleware(req, res, next);
+    }
 
-        const token = authHeader.replace('Bearer ', '');
-        
-        try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
-            req.user = decoded;
-            next();
-        } catch (error) {
-            res.status(401).json({
-                success: false,
-                message: 'Token inválido'
-            });
-        }
+    duplicateKeyMessage(error) {
+        return error.fields.includes('email') ? 'Email já está em uso' : 'Username já está em uso';
     }
 
     // Register user
@@ -245,7 +306,7 @@ class UserService {
                     username: newUser.username,
                     role: newUser.role 
                 },
-                process.env.JWT_SECRET || 'user-secret',
+                this.jwtSecret,
                 { expiresIn: '24h' }
             );
 
@@ -255,6 +316,19 @@ class UserService {
                 data: { user: userWithoutPassword, token }
             });
         } catch (error) {
+            if (error.code === 'DUPLICATE_KEY') {
+                return res.status(409).json({
+                    success: false,
+                    message: this.duplicateKeyMessage(error)
+                });
+            }
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
             console.error('Erro no registro:', error);
             res.status(500).json({
                 success: false,
@@ -299,8 +373,8 @@ class UserService {
 
             // Atualizar dados de login (demonstrando flexibilidade NoSQL)
             await this.usersDb.update(user.id, {
-                'metadata.lastLogin': new Date().toISOString(),
-                'metadata.loginCount': (user.metadata?.loginCount || 0) + 1
+                $set: { 'metadata.lastLogin': new Date().toISOString() },
+                $inc: { 'metadata.loginCount': 1 }
             });
 
             const { password: _, ...userWithoutPassword } = user;
@@ -312,7 +386,7 @@ class UserService {
                     username: user.username,
                     role: user.role 
                 },
-                process.env.JWT_SECRET || 'user-secret',
+                this.jwtSecret,
                 { expiresIn: '24h' }
             );
 
@@ -342,7 +416,7 @@ class UserService {
                 });
             }
 
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
+            const decoded = jwt.verify(token, this.jwtSecret);
             const user = await this.usersDb.findById(decoded.id);
 
             if (!user || user.status !== 'active') {
@@ -370,39 +444,33 @@ class UserService {
     // Get users (com paginação)
     async getUsers(req, res) {
         try {
-            const { page = 1, limit = 10, role, status } = req.query;
-            const skip = (page - 1) * parseInt(limit);
+            const { role, status } = req.query;
 
             // Filtros NoSQL flexíveis
             const filter = {};
             if (role) filter.role = role;
             if (status) filter.status = status;
 
-            const users = await this.usersDb.find(filter, {
-                skip: skip,
-                limit: parseInt(limit),
-                sort: { createdAt: -1 }
+            // Paginação por cursor: ?limit=10&after=<nextCursor>&includeTotal=true (header Link)
+            const { limit, after, includeTotal } = parsePagination(req.query, { defaultLimit: 10 });
+            // Campos: ?fields=username,profile.preferences (o password nunca sai)
+            const page = await this.usersDb.findPage(filter, {
+                sort: { createdAt: -1 },
+                limit,
+                after,
+                includeTotal,
+                projection: parseFields(req.query.fields, { hidden: ['password'] })
             });
 
-            // Remove passwords
-            const safeUsers = users.map(user => {
-                const { password, ...safeUser } = user;
-                return safeUser;
-            });
-
-            const total = await this.usersDb.count(filter);
-
             res.json({
                 success: true,
-                data: safeUsers,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: total,
-                    pages: Math.ceil(total / parseInt(limit))
-                }
+                data: page.documents,
+                pagination: paginationHeaders(req, res, page, { limit })
             });
         } catch (error) {
+            if (error.code === 'INVALID_CURSOR' || error.code === 'INVALID_FIELDS') {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             console.error('Erro ao buscar usuários:', error);
             res.status(500).json({
                 success: false,
@@ -415,7 +483,8 @@ class UserService {
     async getUser(req, res) {
         try {
             const { id } = req.params;
-            const user = await this.usersDb.findById(id);
+            const projection = parseFields(req.query.fields, { hidden: ['password'] });
+            const user = await this.usersDb.findById(id, { projection });
 
             if (!user) {
                 return res.status(404).json({
@@ -432,13 +501,14 @@ class UserService {
                 });
             }
 
-            const { password, ...userWithoutPassword } = user;
-
             res.json({
                 success: true,
-                data: userWithoutPassword
+                data: user
             });
         } catch (error) {
+            if (error.code === 'INVALID_FIELDS') {
+                return res.status(400).json({ success: false, message: error.message });
+            }
             console.error('Erro ao buscar usuário:', error);
             res.status(500).json({
                 success: false,
@@ -489,6 +559,19 @@ class UserService {
                 data: userWithoutPassword
             });
         } catch (error) {
+            if (error.code === 'DUPLICATE_KEY') {
+                return res.status(409).json({
+                    success: false,
+                    message: this.duplicateKeyMessage(error)
+                });
+            }
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
             console.error('Erro ao atualizar usuário:', error);
             res.status(500).json({
                 success: false,
@@ -540,8 +623,11 @@ class UserService {
 
     // Register with service registry
     registerWithRegistry() {
+        // Várias instâncias do serviço podem rodar juntas (PORT diferente em cada uma);
+        // INSTANCE_ID fixa o identificador no registry
         serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
+            instanceId: process.env.INSTANCE_ID,
             version: '1.0.0',
             database: 'JSON-NoSQL',
             endpoints: ['/health', '/auth/register', '/auth/login', '/users', '/search']
@@ -549,13 +635,30 @@ class UserService {
     }
 
     // Start health check reporting
+    // Heartbeats renovam o lease da instância no registry (REGISTRY_LEASE_TTL_MS)
     startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+        serviceRegistry.startHeartbeat(this.serviceName);
+    }
+
+    // Migrações pendentes rodam antes de aceitar requisições (MIGRATE_ON_START=false desativa)
+    async runMigrations() {
+        if (process.env.MIGRATE_ON_START === 'false') return;
+
+        const runner = new MigrationRunner({
+            dbPath: path.join(__dirname, 'database'),
+            migrationsDir: path.join(__dirname, 'migrations')
+        });
+        await runner.up();
     }
 
-    start() {
+    async start() {
+        try {
+            await this.runMigrations();
+        } catch (error) {
+            console.error('User Service: falha ao aplicar migrações:', error.message);
+            process.exit(1);
+        }
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`User Service iniciado na porta ${this.port}`);
@@ -578,12 +681,10 @@ if (require.main === module) {
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
+        Promise.resolve(serviceRegistry.unregister('user-service')).finally(() => process.exit(0));
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
+        Promise.resolve(serviceRegistry.unregister('user-service')).finally(() => process.exit(0));
     });
 }
 
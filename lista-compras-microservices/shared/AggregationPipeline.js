@@ -0,0 +1,270 @@
+// shared/AggregationPipeline.js
+// Pipeline de agregação no estilo MongoDB para o JsonDatabase.
+// Estágios: $match, $group, $project, $unwind, $sort, $skip, $limit, $count e $lookup
+// (este último apenas entre coleções do mesmo diretório de banco).
+class AggregationPipeline {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async run(pipeline) {
+        if (!Array.isArray(pipeline)) {
+            throw new Error('Pipeline de agregação deve ser um array de estágios');
+        }
+
+        // Um $match inicial aproveita os índices da coleção
+        let stages = pipeline;
+        let documents;
+        if (pipeline.length > 0 && pipeline[0].$match) {
+            documents = await this.db.find(pipeline[0].$match);
+            stages = pipeline.slice(1);
+        } else {
+            documents = await this.db.find();
+        }
+
+        for (const stage of stages) {
+            const keys = Object.keys(stage);
+            if (keys.length !== 1) {
+                throw new Error('Cada estágio do pipeline deve ter exatamente um operador');
+            }
+            documents = await this.runStage(keys[0], stage[keys[0]], documents);
+        }
+
+        return documents;
+    }
+
+    async runStage(operator, spec, documents) {
+        switch (operator) {
+            case '$match':
+                return documents.filter(doc => this.db.matchesFilter(doc, spec));
+            case '$group':
+                return this.group(spec, documents);
+            case '$project':
+                return documents.map(doc => this.project(spec, doc));
+            case '$unwind':
+                return this.unwind(spec, documents);
+            case '$sort':
+                return this.db.sortDocuments([...documents], spec);
+            case '$skip':
+                return documents.slice(spec);
+            case '$limit':
+                return documents.slice(0, spec);
+            case '$count':
+                return [{ [spec]: documents.length }];
+            case '$lookup':
+                return this.lookup(spec, documents);
+            default:
+                throw new Error(`Estágio de agregação não suportado: ${operator}`);
+        }
+    }
+
+    // { _id: <expressão>, campo: { $sum | $avg | $min | $max | $count: ... } }
+    group(spec, documents) {
+        if (!('_id' in spec)) {
+            throw new Error('$group exige o campo _id');
+        }
+
+        const groups = new Map();
+        for (const doc of documents) {
+            const id = this.evaluate(spec._id, doc);
+            const key = JSON.stringify(id === undefined ? null : id);
+            if (!groups.has(key)) {
+                groups.set(key, { id: id === undefined ? null : id, documents: [] });
+            }
+            groups.get(key).documents.push(doc);
+        }
+
+        const accumulators = Object.entries(spec).filter(([field]) => field !== '_id');
+
+        return [...groups.values()].map(({ id, documents: members }) => {
+            const result = { _id: id };
+            for (const [field, accumulator] of accumulators) {
+                result[field] = this.accumulate(field, accumulator, members);
+            }
+            return result;
+        });
+    }
+
+    accumulate(field, accumulator, members) {
+        const entries = Object.entries(accumulator || {});
+        if (entries.length !== 1) {
+            throw new Error(`Acumulador inválido no campo ${field}`);
+        }
+
+        const [operator, expression] = entries[0];
+        const values = () => members
+            .map(doc => this.evaluate(expression, doc))
+            .filter(value => typeof value === 'number' && !Number.isNaN(value));
+
+        switch (operator) {
+            case '$sum':
+                return values().reduce((acc, value) => acc + value, 0);
+            case '$avg': {
+                const numbers = values();
+                return numbers.length > 0 ? numbers.reduce((acc, value) => acc + value, 0) / numbers.length : null;
+            }
+            case '$min':
+            case '$max': {
+                const candidates = members
+                    .map(doc => this.evaluate(expression, doc))
+                    .filter(value => value !== undefined && value !== null);
+                if (candidates.length === 0) return null;
+                return candidates.reduce((best, value) => {
+                    if (operator === '$min') return value < best ? value : best;
+                    return value > best ? value : best;
+                });
+            }
+            case '$count':
+                return members.length;
+            default:
+                throw new Error(`Acumulador não suportado: ${operator}`);
+        }
+    }
+
+    // Modo inclusão ({ name: 1, total: '$summary.estimatedTotal' }) ou exclusão ({ items: 0 })
+    project(spec, doc) {
+        const entries = Object.entries(spec);
+        const exclusion = entries.length > 0
+            && entries.every(([, value]) => value === 0 || value === false);
+
+        if (exclusion) {
+            const result = this.db.cloneDocument(doc);
+            for (const [field] of entries) {
+                this.db.unsetNestedValue(result, field);
+            }
+            return result;
+        }
+
+        const result = {};
+        if (spec.id === undefined && spec._id === undefined) {
+            if (doc.id !== undefined) result.id = doc.id;
+            if (doc._id !== undefined) result._id = doc._id;
+        }
+
+        for (const [field, value] of entries) {
+            if (value === 0 || value === false) continue;
+
+            const projected = value === 1 || value === true
+                ? this.db.getNestedValue(doc, field)
+                : this.evaluate(value, doc);
+
+            if (projected !== undefined) {
+                this.db.setNestedValue(result, field, projected);
+            }
+        }
+        return result;
+    }
+
+    // '$items' ou { path: '$items', preserveNullAndEmptyArrays, includeArrayIndex }
+    unwind(spec, documents) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        if (typeof options.path !== 'string' || !options.path.startsWith('$')) {
+            throw new Error('$unwind exige um caminho iniciado por $');
+        }
+        const field = options.path.slice(1);
+
+        const result = [];
+        for (const doc of documents) {
+            const value = this.db.getNestedValue(doc, field);
+
+            if (!Array.isArray(value) || value.length === 0) {
+                if (options.preserveNullAndEmptyArrays) {
+                    const copy = this.db.cloneDocument(doc);
+                    if (Array.isArray(value)) this.db.unsetNestedValue(copy, field);
+                    result.push(copy);
+                } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+                    result.push(doc); // Valor escalar é tratado como array de um elemento
+                }
+                continue;
+            }
+
+            value.forEach((element, index) => {
+                const copy = this.db.cloneDocument(doc);
+                this.db.setNestedValue(copy, field, element);
+                if (options.includeArrayIndex) {
+                    copy[options.includeArrayIndex] = index;
+                }
+                result.push(copy);
+            });
+        }
+        return result;
+    }
+
+    // { from, localField, foreignField, as } com "from" sendo outra coleção do mesmo dbPath
+    async lookup(spec, documents) {
+        const { from, localField, foreignField, as } = spec;
+        if (!from || !localField || !foreignField || !as) {
+            throw new Error('$lookup exige from, localField, foreignField e as');
+        }
+
+        const foreignDocs = await this.db.readSiblingCollection(from);
+        const byKey = new Map();
+        for (const foreign of foreignDocs) {
+            const key = JSON.stringify(this.db.getNestedValue(foreign, foreignField) ?? null);
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(foreign);
+        }
+
+        return documents.map(doc => {
+            const localValue = this.db.getNestedValue(doc, localField);
+            const localValues = Array.isArray(localValue) ? localValue : [localValue ?? null];
+            const matches = localValues.flatMap(value => byKey.get(JSON.stringify(value)) || []);
+
+            const copy = this.db.cloneDocument(doc);
+            this.db.setNestedValue(copy, as, this.db.cloneDocument(matches));
+            return copy;
+        });
+    }
+
+    // Expressões: '$campo.aninhado', literais, objetos/arrays de expressões e
+    // operadores aritméticos ($add, $subtract, $multiply, $divide, $ifNull)
+    evaluate(expression, doc) {
+        if (typeof expression === 'string') {
+            return expression.startsWith('$') ? this.db.getNestedValue(doc, expression.slice(1)) : expression;
+        }
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluate(item, doc));
+        }
+        if (expression === null || typeof expression !== 'object') {
+            return expression;
+        }
+
+        const keys = Object.keys(expression);
+        if (keys.length === 1 && keys[0].startsWith('$')) {
+            const operator = keys[0];
+            const args = [].concat(expression[operator]).map(arg => this.evaluate(arg, doc));
+            return this.applyOperator(operator, args);
+        }
+
+        const result = {};
+        for (const [key, value] of Object.entries(expression)) {
+            result[key] = this.evaluate(value, doc);
+        }
+        return result;
+    }
+
+    applyOperator(operator, args) {
+        const numbers = () => args.map(value => Number(value) || 0);
+
+        switch (operator) {
+            case '$add':
+                return numbers().reduce((acc, value) => acc + value, 0);
+            case '$multiply':
+                return numbers().reduce((acc, value) => acc * value, 1);
+            case '$subtract': {
+                const [a, b] = numbers();
+                return a - b;
+            }
+            case '$divide': {
+                const [a, b] = numbers();
+                return b === 0 ? null : a / b;
+            }
+            case '$ifNull':
+                return args.find(value => value !== undefined && value !== null) ?? null;
+            default:
+                throw new Error(`Operador de expressão não suportado: ${operator}`);
+        }
+    }
+}
+
+module.exports = AggregationPipeline;
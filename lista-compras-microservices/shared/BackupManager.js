@@ -0,0 +1,268 @@
+// shared/BackupManager.js
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const JsonDatabase = require('./JsonDatabase');
+const { createStorage } = require('./storage');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FORMAT = 'lista-compras-backup';
+const FORMAT_VERSION = 1;
+
+// <nome>-<timestamp>.backup.json.gz; o nome também é validado ao receber de uma requisição
+const BACKUP_FILE = /^[\w.-]+\.backup\.json\.gz$/;
+
+// Backups dos bancos de um ou mais serviços. Cada backup é um único arquivo JSON compactado
+// com todas as coleções de cada serviço, o checksum SHA-256 dos documentos de cada coleção
+// e um checksum geral do arquivo:
+//   { format, version, createdAt, label, storage, checksum,
+//     services: { 'list-service': { collections: { lists: { count, checksum, documents } } } } }
+// Cada coleção é lida sob o seu lock, então nenhuma escrita fica pela metade na cópia.
+class BackupManager {
+    // services: [{ name, dbPath }]
+    constructor({ services, backupDir, storage }) {
+        this.services = services;
+        this.backupDir = backupDir;
+        this.storage = storage;
+    }
+
+    async create({ label } = {}) {
+        const createdAt = new Date().toISOString();
+        const services = {};
+
+        for (const service of this.services) {
+            const collections = {};
+            for (const name of await this.collectionNames(service)) {
+                const documents = await this.withCollection(service, name, db => db.exportDocuments());
+                collections[name] = { count: documents.length, checksum: checksum(documents), documents };
+            }
+            services[service.name] = { collections };
+        }
+
+        const backup = {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            createdAt,
+            label: label || null,
+            storage: this.storageType(),
+            services
+        };
+        backup.checksum = archiveChecksum(backup);
+
+        const prefix = this.services.length === 1 ? this.services[0].name : 'all';
+        const fileName = `${prefix}-${createdAt.replace(/[:.]/g, '-')}.backup.json.gz`;
+
+        await fs.ensureDir(this.backupDir);
+        await fs.writeFile(path.join(this.backupDir, fileName), await gzip(JSON.stringify(backup)), { flag: 'wx' });
+
+        return { name: fileName, ...describe(backup) };
+    }
+
+    // Backups disponíveis, do mais recente para o mais antigo
+    async list() {
+        if (!await fs.pathExists(this.backupDir)) {
+            return [];
+        }
+
+        const files = (await fs.readdir(this.backupDir)).filter(file => BACKUP_FILE.test(file));
+        const backups = [];
+        for (const file of files) {
+            const { size } = await fs.stat(path.join(this.backupDir, file));
+            try {
+                backups.push({ name: file, size, ...describe(await this.read(file)) });
+            } catch (error) {
+                backups.push({ name: file, size, error: error.message });
+            }
+        }
+        return backups.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    // { valid, errors, ...resumo }: confere formato, contagens e checksums sem alterar nada
+    async verify(name) {
+        const backup = await this.read(name);
+        const errors = [];
+
+        if (backup.format !== FORMAT || backup.version !== FORMAT_VERSION) {
+            errors.push(`Formato não suportado: ${backup.format} v${backup.version}`);
+        }
+        for (const [serviceName, service] of Object.entries(backup.services || {})) {
+            for (const [collectionName, collection] of Object.entries(service.collections || {})) {
+                const label = `${serviceName}/${collectionName}`;
+                if (!Array.isArray(collection.documents)) {
+                    errors.push(`${label}: documentos ausentes`);
+                    continue;
+                }
+                if (collection.documents.length !== collection.count) {
+                    errors.push(`${label}: esperados ${collection.count} documentos, encontrados ${collection.documents.length}`);
+                }
+                if (checksum(collection.documents) !== collection.checksum) {
+                    errors.push(`${label}: checksum não confere`);
+                }
+            }
+        }
+        if (archiveChecksum(backup) !== backup.checksum) {
+            errors.push('Checksum geral do backup não confere');
+        }
+
+        return { name: path.basename(name), valid: errors.length === 0, errors, ...describe(backup) };
+    }
+
+    // Restaura os serviços deste gerenciador presentes no backup (ou só options.services).
+    // O backup é verificado antes; um backup inválido não altera nada. Coleções do serviço
+    // que não estão no backup ficam vazias: o estado restaurado é só o do backup.
+    // Não é atômica: cada coleção é gravada sob o seu lock, uma depois da outra. Se uma falhar,
+    // as anteriores já estão como no backup e as seguintes intactas; o erro (RESTORE_INCOMPLETE)
+    // traz em restored as coleções já gravadas e em failed a que falhou. Repetir a restauração
+    // completa o estado, pois só o que difere é regravado.
+    async restore(name, options = {}) {
+        const verification = await this.verify(name);
+        if (!verification.valid) {
+            const error = new Error(`Backup inválido: ${verification.errors[0]}`);
+            error.code = 'BACKUP_CORRUPTED';
+            error.status = 422;
+            error.errors = verification.errors;
+            throw error;
+        }
+
+        const backup = await this.read(name);
+        const targets = this.services.filter(service =>
+            backup.services[service.name] && (!options.services || options.services.includes(service.name))
+        );
+        if (targets.length === 0) {
+            const error = new Error('O backup não contém nenhum dos serviços a restaurar');
+            error.code = 'BACKUP_SERVICE_MISMATCH';
+            error.status = 400;
+            throw error;
+        }
+
+        const restored = {};
+        let current = null;
+        try {
+            for (const service of targets) {
+                restored[service.name] = {};
+                current = { service: service.name, collection: null };
+                const collections = backup.services[service.name].collections;
+                for (const collectionName of await this.collectionNames(service)) {
+                    if (!collections[collectionName]) {
+                        current.collection = collectionName;
+                        restored[service.name][collectionName] = {
+                            ...await this.withCollection(service, collectionName, db => db.importDocuments([])),
+                            cleared: true
+                        };
+                    }
+                }
+                for (const [collectionName, collection] of Object.entries(collections)) {
+                    current.collection = collectionName;
+                    restored[service.name][collectionName] = await this.withCollection(
+                        service, collectionName, db => db.importDocuments(collection.documents)
+                    );
+                }
+            }
+        } catch (cause) {
+            const where = current.collection ? `${current.service}/${current.collection}` : current.service;
+            const error = new Error(`Restauração interrompida em ${where}: ${cause.message}`);
+            error.code = 'RESTORE_INCOMPLETE';
+            error.status = 500;
+            error.restored = restored;
+            error.failed = current;
+            error.cause = cause;
+            throw error;
+        }
+        return { name: path.basename(name), restored };
+    }
+
+    // ---- Auxiliares ----
+
+    // Nome de arquivo de backup, sem diretórios (o que as rotas HTTP aceitam)
+    static isBackupName(name) {
+        return typeof name === 'string' && BACKUP_FILE.test(name) && path.basename(name) === name;
+    }
+
+    // Aceita o nome de um arquivo do diretório de backups ou, pela CLI, um caminho
+    resolve(name) {
+        if (BackupManager.isBackupName(name)) {
+            return path.join(this.backupDir, name);
+        }
+        return path.resolve(name);
+    }
+
+    async read(name) {
+        const filePath = this.resolve(name);
+        if (!await fs.pathExists(filePath)) {
+            const error = new Error(`Backup não encontrado: ${name}`);
+            error.code = 'BACKUP_NOT_FOUND';
+            error.status = 404;
+            throw error;
+        }
+
+        try {
+            return JSON.parse((await gunzip(await fs.readFile(filePath))).toString('utf8'));
+        } catch (error) {
+            const corrupted = new Error(`Backup ilegível (${error.message})`);
+            corrupted.code = 'BACKUP_CORRUPTED';
+            corrupted.status = 422;
+            corrupted.errors = [corrupted.message];
+            throw corrupted;
+        }
+    }
+
+    storageType() {
+        return (this.storage || process.env.DB_STORAGE || 'json').toLowerCase();
+    }
+
+    // Só lista: nenhuma coleção é aberta nem criada (o nome da coleção do adaptador não importa)
+    async collectionNames(service) {
+        const storage = createStorage({ storage: this.storage, dbPath: service.dbPath, collectionName: '_migrations' });
+        try {
+            return await storage.listCollections();
+        } finally {
+            storage.close();
+        }
+    }
+
+    async withCollection(service, name, operation) {
+        const db = new JsonDatabase(service.dbPath, name, { storage: this.storage, cache: false });
+        try {
+            return await operation(db);
+        } finally {
+            db.close();
+        }
+    }
+}
+
+function checksum(value) {
+    return `sha256:${crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex')}`;
+}
+
+// Cobre os metadados e os checksums de cada coleção (que por sua vez cobrem os documentos)
+function archiveChecksum(backup) {
+    const services = Object.entries(backup.services || {}).map(([serviceName, service]) => [
+        serviceName,
+        Object.entries(service.collections || {}).map(([name, collection]) => [name, collection.count, collection.checksum])
+    ]);
+    return checksum([backup.format, backup.version, backup.createdAt, backup.label, backup.storage, services]);
+}
+
+// Resumo sem os documentos: { createdAt, label, storage, checksum, services: { svc: { coleção: count } } }
+function describe(backup) {
+    const services = {};
+    for (const [serviceName, service] of Object.entries(backup.services || {})) {
+        services[serviceName] = {};
+        for (const [name, collection] of Object.entries(service.collections || {})) {
+            services[serviceName][name] = collection.count;
+        }
+    }
+    return {
+        createdAt: backup.createdAt,
+        label: backup.label,
+        storage: backup.storage,
+        checksum: backup.checksum,
+        services
+    };
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,100 @@
+// shared/ChangeStream.js
+const { EventEmitter } = require('events');
+
+// Fluxo de alterações de uma coleção, criado por JsonDatabase.watch().
+// Pode ser consumido por eventos (stream.on('change', ...)) ou como iterador assíncrono
+// (for await (const change of stream)). Cada alteração tem o formato:
+//   { seq, operationType: 'insert' | 'update' | 'delete', collection, documentId, before, after, at }
+// O `seq` de uma alteração pode ser usado como resumeAfter para retomar o fluxo.
+class ChangeStream extends EventEmitter {
+    constructor(db, filter = {}, options = {}) {
+        super();
+        this.db = db;
+        this.filter = filter;
+        this.operationTypes = options.operationTypes || null;
+        this.closed = false;
+        this.resumeAfter = options.resumeAfter !== undefined ? options.resumeAfter : null;
+
+        // Fila para o iterador assíncrono
+        this.buffer = [];
+        this.pending = [];
+        this.iterating = false;
+    }
+
+    // Chamado pelo JsonDatabase para cada alteração publicada
+    push(change) {
+        if (this.closed) return;
+        if (this.resumeAfter !== null && change.seq <= this.resumeAfter) return;
+        if (!this.matches(change)) return;
+
+        const listening = this.listenerCount('change') > 0;
+        this.emit('change', change);
+
+        // Sem ouvintes, as alterações ficam guardadas até o iterador consumi-las
+        if (this.iterating || !listening) {
+            const waiting = this.pending.shift();
+            if (waiting) {
+                waiting.resolve({ value: change, done: false });
+            } else {
+                this.buffer.push(change);
+            }
+        }
+    }
+
+    matches(change) {
+        if (this.operationTypes && !this.operationTypes.includes(change.operationType)) {
+            return false;
+        }
+        if (Object.keys(this.filter).length === 0) {
+            return true;
+        }
+        // Inserções/atualizações casam pelo documento novo; remoções, pelo documento removido
+        const document = change.after || change.before;
+        return Boolean(document) && this.db.matchesFilter(document, this.filter);
+    }
+
+    fail(error) {
+        if (this.closed) return;
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+        this.pending.forEach(waiting => waiting.reject(error));
+        this.pending = [];
+        this.closeStream();
+    }
+
+    close() {
+        this.closeStream();
+    }
+
+    closeStream() {
+        if (this.closed) return;
+        this.closed = true;
+        this.buffer = [];
+        this.pending.forEach(waiting => waiting.resolve({ value: undefined, done: true }));
+        this.pending = [];
+        this.db.unwatch(this);
+        this.emit('close');
+    }
+
+    [Symbol.asyncIterator]() {
+        this.iterating = true;
+        return {
+            next: () => {
+                if (this.buffer.length > 0) {
+                    return Promise.resolve({ value: this.buffer.shift(), done: false });
+                }
+                if (this.closed) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise((resolve, reject) => this.pending.push({ resolve, reject }));
+            },
+            return: () => {
+                this.close();
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+    }
+}
+
+module.exports = ChangeStream;
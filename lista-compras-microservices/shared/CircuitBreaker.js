@@ -0,0 +1,271 @@
+// shared/CircuitBreaker.js
+// Circuit breaker de um serviço, com janela deslizante de resultados:
+//   closed     as chamadas passam e entram na janela (windowMs, dividida em buckets). Com ao
+//              menos minimumCalls chamadas na janela, o circuito abre quando a taxa de falhas
+//              chega a failureRateThreshold (%) ou a de chamadas lentas (> slowCallMs) chega a
+//              slowCallRateThreshold (%)
+//   open       recusa as chamadas por openMs e então passa a half-open
+//   half-open  deixa passar só halfOpenMaxCalls chamadas de teste ao mesmo tempo; fecha quando
+//              halfOpenMaxCalls delas terminam bem e volta a abrir na primeira falha ou lentidão
+// trip() abre o circuito à mão (fica aberto até reset()); reset() fecha e limpa a janela.
+
+const DEFAULTS = {
+    windowMs: 60000,
+    buckets: 12,
+    minimumCalls: 5,
+    failureRateThreshold: 50,
+    slowCallMs: 5000,
+    slowCallRateThreshold: 80,
+    openMs: 30000,
+    halfOpenMaxCalls: 2
+};
+
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULTS, ...options };
+        this.state = 'closed';
+        this.forced = false;
+        this.reason = null;
+        this.openedAt = null;
+        this.changedAt = Date.now();
+        this.window = [];
+        this.trial = { inFlight: 0, successes: 0 };
+        this.lastFailureAt = null;
+    }
+
+    // Pede passagem para uma chamada. Devolve null com o circuito aberto; senão, a função que
+    // encerra a chamada: done('success' | 'failure' | 'cancel'). 'cancel' (a chamada nem saiu,
+    // ex.: nenhuma instância descoberta) só libera a vaga de teste, sem contar na janela.
+    acquire() {
+        const now = Date.now();
+        this.updateState(now);
+
+        if (this.state === 'open') {
+            return null;
+        }
+
+        const isTrial = this.state === 'half-open';
+        if (isTrial) {
+            if (this.trial.inFlight >= this.options.halfOpenMaxCalls) {
+                return null;
+            }
+            this.trial.inFlight++;
+        }
+
+        let finished = false;
+        return (outcome = 'success') => {
+            if (finished) return;
+            finished = true;
+            this.record(outcome, Date.now() - now, isTrial);
+        };
+    }
+
+    record(outcome, durationMs, isTrial) {
+        const now = Date.now();
+        const failed = outcome === 'failure';
+        const slow = durationMs > this.options.slowCallMs;
+        if (failed) this.lastFailureAt = now;
+
+        if (isTrial) {
+            this.trial.inFlight = Math.max(0, this.trial.inFlight - 1);
+            // Uma reabertura, reset ou trip no meio do caminho invalida as chamadas de teste
+            if (this.state !== 'half-open' || outcome === 'cancel') return;
+
+            if (failed || slow) {
+                this.open(failed ? 'falha na chamada de teste' : `chamada de teste lenta (${durationMs}ms)`);
+            } else if (++this.trial.successes >= this.options.halfOpenMaxCalls) {
+                this.close('chamadas de teste bem-sucedidas');
+            }
+            return;
+        }
+
+        if (this.state !== 'closed' || outcome === 'cancel') return;
+
+        const bucket = this.currentBucket(now);
+        bucket.calls++;
+        if (failed) bucket.failures++;
+        if (slow) bucket.slow++;
+
+        const stats = this.stats(now);
+        if (stats.calls < this.options.minimumCalls) return;
+        if (stats.failureRate >= this.options.failureRateThreshold) {
+            this.open(`${stats.failureRate}% de falhas em ${stats.calls} chamadas`);
+        } else if (stats.slowCallRate >= this.options.slowCallRateThreshold) {
+            this.open(`${stats.slowCallRate}% de chamadas lentas (> ${this.options.slowCallMs}ms) em ${stats.calls} chamadas`);
+        }
+    }
+
+    // ---- Janela deslizante ----
+
+    currentBucket(now) {
+        const bucketMs = Math.max(1, Math.floor(this.options.windowMs / this.options.buckets));
+        const start = now - (now % bucketMs);
+        this.prune(now);
+        let bucket = this.window[this.window.length - 1];
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, calls: 0, failures: 0, slow: 0 };
+            this.window.push(bucket);
+        }
+        return bucket;
+    }
+
+    prune(now) {
+        const oldest = now - this.options.windowMs;
+        while (this.window.length > 0 && this.window[0].start <= oldest) {
+            this.window.shift();
+        }
+    }
+
+    stats(now = Date.now()) {
+        this.prune(now);
+        const totals = this.window.reduce((acc, bucket) => ({
+            calls: acc.calls + bucket.calls,
+            failures: acc.failures + bucket.failures,
+            slow: acc.slow + bucket.slow
+        }), { calls: 0, failures: 0, slow: 0 });
+        const rate = count => (totals.calls ? Math.round((count / totals.calls) * 100) : 0);
+        return { ...totals, failureRate: rate(totals.failures), slowCallRate: rate(totals.slow) };
+    }
+
+    // ---- Transições ----
+
+    updateState(now = Date.now()) {
+        if (this.state === 'open' && !this.forced && now - this.openedAt >= this.options.openMs) {
+            this.halfOpen('tempo de abertura esgotado');
+        }
+    }
+
+    open(reason, { forced = false } = {}) {
+        this.transition('open', reason);
+        this.forced = forced;
+        this.openedAt = Date.now();
+        console.log(`🛑 Circuit opened for ${this.name}: ${reason}`);
+    }
+
+    // Também usado quando uma instância do serviço volta a ficar disponível: testa já,
+    // sem esperar openMs. Circuitos abertos à mão não mudam.
+    halfOpen(reason) {
+        if (this.state !== 'open' || this.forced) return false;
+        this.transition('half-open', reason);
+        this.trial = { inFlight: 0, successes: 0 };
+        console.log(`⚠️  Circuit half-open for ${this.name}: ${reason}`);
+        return true;
+    }
+
+    close(reason) {
+        this.transition('closed', reason);
+        this.forced = false;
+        this.openedAt = null;
+        this.window = [];
+        console.log(`✅ Circuit closed for ${this.name}: ${reason}`);
+    }
+
+    transition(state, reason) {
+        this.state = state;
+        this.reason = reason;
+        this.changedAt = Date.now();
+    }
+
+    trip(reason = 'aberto manualmente') {
+        this.open(reason, { forced: true });
+    }
+
+    reset(reason = 'fechado manualmente') {
+        this.close(reason);
+    }
+
+    // Segundos até o próximo teste (para o header Retry-After); null se não estiver aberto
+    retryAfterSeconds(now = Date.now()) {
+        if (this.state !== 'open' || this.forced) return null;
+        return Math.max(1, Math.ceil((this.openedAt + this.options.openMs - now) / 1000));
+    }
+
+    snapshot() {
+        const now = Date.now();
+        this.updateState(now);
+        return {
+            name: this.name,
+            state: this.state,
+            forced: this.forced,
+            reason: this.reason,
+            since: new Date(this.changedAt).toISOString(),
+            retryAt: this.state === 'open' && !this.forced
+                ? new Date(this.openedAt + this.options.openMs).toISOString()
+                : null,
+            lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+            window: this.stats(now),
+            halfOpen: this.state === 'half-open'
+                ? { ...this.trial, maxCalls: this.options.halfOpenMaxCalls }
+                : null,
+            options: this.options
+        };
+    }
+}
+
+// Um breaker por serviço, criado no primeiro uso. A configuração padrão vem de `defaults`
+// e cada serviço pode sobrepor qualquer opção em `services[nome]`.
+class CircuitBreakerRegistry {
+    constructor({ defaults = {}, services = {} } = {}) {
+        this.defaults = defaults;
+        this.services = services;
+        this.breakers = new Map();
+    }
+
+    // Variáveis de ambiente (todas opcionais):
+    //   CIRCUIT_BREAKER_THRESHOLD        minimumCalls
+    //   CIRCUIT_BREAKER_TIMEOUT          openMs
+    //   CIRCUIT_BREAKER_FAILURE_RATE     failureRateThreshold (%)
+    //   CIRCUIT_BREAKER_WINDOW_MS        windowMs
+    //   CIRCUIT_BREAKER_SLOW_CALL_MS     slowCallMs
+    //   CIRCUIT_BREAKER_SLOW_CALL_RATE   slowCallRateThreshold (%)
+    //   CIRCUIT_BREAKER_HALF_OPEN_CALLS  halfOpenMaxCalls
+    //   CIRCUIT_BREAKER_SERVICES         JSON por serviço, ex.: {"item-service":{"slowCallMs":2000}}
+    static fromEnv(env = process.env) {
+        const variables = {
+            minimumCalls: 'CIRCUIT_BREAKER_THRESHOLD',
+            openMs: 'CIRCUIT_BREAKER_TIMEOUT',
+            failureRateThreshold: 'CIRCUIT_BREAKER_FAILURE_RATE',
+            windowMs: 'CIRCUIT_BREAKER_WINDOW_MS',
+            slowCallMs: 'CIRCUIT_BREAKER_SLOW_CALL_MS',
+            slowCallRateThreshold: 'CIRCUIT_BREAKER_SLOW_CALL_RATE',
+            halfOpenMaxCalls: 'CIRCUIT_BREAKER_HALF_OPEN_CALLS'
+        };
+
+        const defaults = {};
+        Object.entries(variables).forEach(([option, variable]) => {
+            const value = Number(env[variable]);
+            if (env[variable] !== undefined && env[variable] !== '' && Number.isFinite(value) && value > 0) {
+                defaults[option] = value;
+            }
+        });
+
+        let services = {};
+        if (env.CIRCUIT_BREAKER_SERVICES) {
+            try {
+                services = JSON.parse(env.CIRCUIT_BREAKER_SERVICES);
+            } catch (error) {
+                throw new Error(`CIRCUIT_BREAKER_SERVICES inválido: ${error.message}`);
+            }
+        }
+
+        return new CircuitBreakerRegistry({ defaults, services });
+    }
+
+    get(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name, { ...this.defaults, ...(this.services[name] || {}) }));
+        }
+        return this.breakers.get(name);
+    }
+
+    has(name) {
+        return this.breakers.has(name);
+    }
+
+    list() {
+        return [...this.breakers.values()].map(breaker => breaker.snapshot());
+    }
+}
+
+module.exports = { CircuitBreaker, CircuitBreakerRegistry };
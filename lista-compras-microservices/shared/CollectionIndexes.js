@@ -0,0 +1,259 @@
+// shared/CollectionIndexes.js
+// Índices secundários de uma coleção do JsonDatabase.
+// Cada índice mapeia a chave (valores dos campos, serializados em JSON) para o conjunto de ids.
+// Campos com array geram uma entrada por elemento (multikey) em índices de um campo;
+// em índices compostos o documento fica sempre entre os candidatos.
+class CollectionIndexes {
+    constructor() {
+        this.definitions = new Map(); // name -> { name, fields, unique }
+        this.entries = new Map();     // name -> { keys: Map<key, Set<id>>, always: Set<id> }
+        this.seq = null;              // seq da coleção refletido nos índices (null = desatualizado)
+    }
+
+    static indexName(fields) {
+        return fields.map(field => `${field}_1`).join('_');
+    }
+
+    define(fields, options = {}) {
+        const fieldList = Array.isArray(fields) ? fields : [fields];
+        if (fieldList.length === 0) {
+            throw new Error('Índice precisa de pelo menos um campo');
+        }
+
+        const name = options.name || CollectionIndexes.indexName(fieldList);
+        const definition = { name, fields: fieldList, unique: Boolean(options.unique) };
+        this.definitions.set(name, definition);
+        this.invalidate();
+        return definition;
+    }
+
+    drop(name) {
+        this.entries.delete(name);
+        return this.definitions.delete(name);
+    }
+
+    invalidate() {
+        this.seq = null;
+    }
+
+    isSynced(seq) {
+        return this.seq === seq;
+    }
+
+    list() {
+        return [...this.definitions.values()].map(({ name, fields, unique }) => ({ name, fields, unique }));
+    }
+
+    // Reconstrói todos os índices; lança erro se houver duplicatas em índice único
+    build(documents, seq) {
+        this.entries = new Map();
+        for (const definition of this.definitions.values()) {
+            this.entries.set(definition.name, { keys: new Map(), always: new Set() });
+        }
+        for (const document of documents) {
+            this.assertUnique(document);
+            this.add(document);
+        }
+        this.seq = seq;
+    }
+
+    // Carrega entradas persistidas em disco, se corresponderem ao seq e às definições atuais
+    load(persisted, seq) {
+        if (!persisted || persisted.seq !== seq || typeof persisted.indexes !== 'object') {
+            return false;
+        }
+
+        const entries = new Map();
+        for (const definition of this.definitions.values()) {
+            const stored = persisted.indexes[definition.name];
+            if (!stored || stored.unique !== definition.unique
+                || JSON.stringify(stored.fields) !== JSON.stringify(definition.fields)) {
+                return false;
+            }
+            entries.set(definition.name, {
+                keys: new Map(Object.entries(stored.entries).map(([key, ids]) => [key, new Set(ids)])),
+                always: new Set(stored.always || [])
+            });
+        }
+
+        this.entries = entries;
+        this.seq = seq;
+        return true;
+    }
+
+    toJSON() {
+        const indexes = {};
+        for (const definition of this.definitions.values()) {
+            const { keys, always } = this.entries.get(definition.name);
+            const entries = {};
+            for (const [key, ids] of keys) {
+                entries[key] = [...ids];
+            }
+            indexes[definition.name] = {
+                fields: definition.fields,
+                unique: definition.unique,
+                entries,
+                always: [...always]
+            };
+        }
+        return { seq: this.seq, indexes };
+    }
+
+    // Chaves de um documento para um índice; null quando o documento não pode ser indexado
+    keysFor(definition, document) {
+        const values = definition.fields.map(field => getNestedValue(document, field));
+
+        if (values.some(value => Array.isArray(value))) {
+            if (definition.fields.length > 1) return null;
+            const keys = values[0].map(element => JSON.stringify([element]));
+            keys.push(JSON.stringify(values));
+            return keys;
+        }
+
+        return [JSON.stringify(values.map(value => (value === undefined ? null : value)))];
+    }
+
+    add(document) {
+        for (const definition of this.definitions.values()) {
+            const { keys, always } = this.entries.get(definition.name);
+            const documentKeys = this.keysFor(definition, document);
+
+            if (documentKeys === null) {
+                always.add(document.id);
+                continue;
+            }
+            for (const key of documentKeys) {
+                if (!keys.has(key)) keys.set(key, new Set());
+                keys.get(key).add(document.id);
+            }
+        }
+    }
+
+    remove(document) {
+        for (const definition of this.definitions.values()) {
+            const { keys, always } = this.entries.get(definition.name);
+            always.delete(document.id);
+
+            for (const key of this.keysFor(definition, document) || []) {
+                const ids = keys.get(key);
+                if (!ids) continue;
+                ids.delete(document.id);
+                if (ids.size === 0) keys.delete(key);
+            }
+        }
+    }
+
+    // Documentos sem valor nos campos de um índice único não participam da restrição
+    assertUnique(document) {
+        for (const definition of this.definitions.values()) {
+            if (!definition.unique) continue;
+
+            const values = definition.fields.map(field => getNestedValue(document, field));
+            if (values.every(value => value === undefined || value === null)) continue;
+
+            const { keys } = this.entries.get(definition.name);
+            for (const key of this.keysFor(definition, document) || []) {
+                const ids = keys.get(key);
+                if (ids && [...ids].some(id => id !== document.id)) {
+                    const error = new Error(`Valor duplicado para o índice único ${definition.name}`);
+                    error.code = 'DUPLICATE_KEY';
+                    error.status = 409;
+                    error.index = definition.name;
+                    error.fields = definition.fields;
+                    throw error;
+                }
+            }
+        }
+    }
+
+    // Retorna o conjunto de ids candidatos para o filtro, ou null se nenhum índice se aplica.
+    // Os candidatos são um superconjunto do resultado: o filtro completo ainda é aplicado.
+    plan(filter) {
+        const plans = [];
+
+        const indexPlan = this.planEqualities(filter);
+        if (indexPlan) plans.push(indexPlan);
+
+        if (Array.isArray(filter.$and)) {
+            for (const sub of filter.$and) {
+                const subPlan = this.plan(sub);
+                if (subPlan) plans.push(subPlan);
+            }
+        }
+
+        if (Array.isArray(filter.$or) && filter.$or.length > 0) {
+            const branches = filter.$or.map(sub => this.plan(sub));
+            if (branches.every(Boolean)) {
+                const union = new Set();
+                branches.forEach(branch => branch.forEach(id => union.add(id)));
+                plans.push(union);
+            }
+        }
+
+        if (plans.length === 0) return null;
+
+        // Interseção, começando pelo menor conjunto
+        plans.sort((a, b) => a.size - b.size);
+        const [smallest, ...rest] = plans;
+        return new Set([...smallest].filter(id => rest.every(plan => plan.has(id))));
+    }
+
+    // Escolhe o índice que cobre mais campos com igualdade ($eq / valor literal / $in)
+    planEqualities(filter) {
+        let best = null;
+
+        for (const definition of this.definitions.values()) {
+            if (!this.entries.has(definition.name)) continue;
+
+            const candidates = definition.fields.map(field => equalityValues(filter[field]));
+            if (candidates.some(values => values === null)) continue;
+            if (definition.fields.length > 1 && candidates.some(values => values.length !== 1)) continue;
+
+            const score = definition.fields.length * 2 + (definition.unique ? 1 : 0);
+            if (!best || score > best.score) {
+                best = { definition, candidates, score };
+            }
+        }
+
+        if (!best) return null;
+
+        const { keys, always } = this.entries.get(best.definition.name);
+        const ids = new Set(always);
+        const lookupKeys = best.definition.fields.length === 1
+            ? best.candidates[0].map(value => JSON.stringify([value]))
+            : [JSON.stringify(best.candidates.map(values => values[0]))];
+
+        for (const key of lookupKeys) {
+            (keys.get(key) || []).forEach(id => ids.add(id));
+        }
+        return ids;
+    }
+}
+
+// Valores escalares aceitos em consultas por igualdade; null se a condição não é indexável
+function equalityValues(condition) {
+    if (isScalar(condition)) return [condition];
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        const keys = Object.keys(condition);
+        if (keys.length === 1 && keys[0] === '$eq' && isScalar(condition.$eq)) {
+            return [condition.$eq];
+        }
+        if (keys.length === 1 && keys[0] === '$in' && Array.isArray(condition.$in)
+            && condition.$in.every(isScalar)) {
+            return condition.$in;
+        }
+    }
+    return null;
+}
+
+function isScalar(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function getNestedValue(obj, path) {
+    return path.split('.').reduce((current, key) => {
+        return current && current[key] !== undefined ? current[key] : undefined;
+    }, obj);
+}
+
+module.exports = CollectionIndexes;
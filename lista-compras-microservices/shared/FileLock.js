@@ -0,0 +1,118 @@
+// shared/FileLock.js
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+// Lock entre processos baseado em arquivo: a criação com a flag 'wx' é atômica,
+// então só um processo (ex.: seed-data.js e o item-service) consegue segurar o lock.
+// Enquanto o lock é segurado o mtime do arquivo é renovado (a cada staleMs/3), então ele só
+// envelhece se o dono morreu ou travou: uma compactação ou um backup demorado não o perdem.
+class FileLock {
+    constructor(lockPath, options = {}) {
+        this.lockPath = lockPath;
+        this.staleMs = options.staleMs || 10000;
+        this.retryMs = options.retryMs || 25;
+        this.timeoutMs = options.timeoutMs || 15000;
+        this.token = null;
+        this.refreshTimer = null;
+    }
+
+    async acquire() {
+        const startedAt = Date.now();
+        const token = uuidv4();
+
+        for (;;) {
+            try {
+                await fs.writeFile(
+                    this.lockPath,
+                    JSON.stringify({ pid: process.pid, token, acquiredAt: Date.now() }),
+                    { flag: 'wx' }
+                );
+                this.token = token;
+                this.startRefresh();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            if (await this.isStale()) {
+                console.warn(`Removendo lock abandonado: ${this.lockPath}`);
+                await fs.remove(this.lockPath);
+                continue;
+            }
+
+            if (Date.now() - startedAt > this.timeoutMs) {
+                const error = new Error(`Timeout ao obter lock: ${this.lockPath}`);
+                error.code = 'ELOCKTIMEOUT';
+                throw error;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.retryMs));
+        }
+    }
+
+    async release() {
+        if (!this.token) return;
+        this.stopRefresh();
+
+        try {
+            const holder = await this.readHolder();
+            // Só remove se o lock ainda for nosso (pode ter sido considerado abandonado)
+            if (holder && holder.token === this.token) {
+                await fs.remove(this.lockPath);
+            }
+        } finally {
+            this.token = null;
+        }
+    }
+
+    startRefresh() {
+        this.refreshTimer = setInterval(() => {
+            const now = new Date();
+            fs.utimes(this.lockPath, now, now).catch(() => {});
+        }, Math.max(1, Math.floor(this.staleMs / 3)));
+        // Um lock segurado não deve manter vivo um processo que já terminou o resto
+        this.refreshTimer.unref();
+    }
+
+    stopRefresh() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    async readHolder() {
+        try {
+            return JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Lock abandonado: processo dono morreu ou parou de renovar o lock por staleMs (travado, ou
+    // o pid foi reaproveitado por outro processo depois que o dono morreu)
+    async isStale() {
+        const holder = await this.readHolder();
+
+        if (holder && holder.pid && !FileLock.isProcessAlive(holder.pid)) {
+            return true;
+        }
+
+        try {
+            const stats = await fs.stat(this.lockPath);
+            return Date.now() - stats.mtimeMs > this.staleMs;
+        } catch (error) {
+            // Lock liberado entre as verificações
+            return false;
+        }
+    }
+
+    static isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+module.exports = FileLock;
@@ -1,31 +1,77 @@
 // shared/JsonDatabase.js
-const fs = require('fs-extra');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const CollectionIndexes = require('./CollectionIndexes');
+const SchemaValidator = require('./SchemaValidator');
+const ChangeStream = require('./ChangeStream');
+const AggregationPipeline = require('./AggregationPipeline');
+const { createStorage } = require('./storage');
 
+// Segmentos que levariam um caminho ao protótipo dos objetos (como em shared/fields.js)
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Coleção de documentos com API no estilo MongoDB. A persistência fica a cargo de um
+// adaptador de armazenamento (ver shared/storage): arquivos JSON com journal (padrão),
+// SQLite ou memória, escolhido por options.storage ou pela variável DB_STORAGE.
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
-        this.filePath = path.join(dbPath, `${collectionName}.json`);
-        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.storage = createStorage({
+            storage: options.storage,
+            dbPath,
+            collectionName,
+            compactThreshold: options.compactThreshold
+        });
+
+        // Índices secundários (createIndex), persistidos pelo armazenamento
+        this.indexes = new CollectionIndexes();
+
+        // Schema (subconjunto de JSON Schema) validado em create/update; null = sem validação
+        this.schema = null;
+        if (options.schema) {
+            this.setSchema(options.schema);
+        }
+
+        // Cache em memória do estado da coleção, invalidado quando os dados mudam fora do processo
+        this.cacheEnabled = options.cache !== false;
+        this.cache = null;
+        this.cacheStats = { hits: 0, misses: 0, invalidations: 0 };
+        this.writing = false;
 
-        this.ensureDatabase();
+        // Soft delete: delete() apenas marca `deletedAt` e o documento some das consultas
+        // (a menos que se peça withDeleted/onlyDeleted); restore() e purge() completam o ciclo
+        this.softDelete = Boolean(options.softDelete);
+
+        // TTL: [{ field, expireAfterSeconds }]. O documento expira quando a data em `field`
+        // mais expireAfterSeconds passa: some das consultas na hora e é removido na varredura
+        this.ttlRules = [].concat(options.ttl || []);
+        this.ttlSweepMs = options.ttlSweepMs || 60000;
+        this.ttlTimer = null;
+
+        // Change streams abertos por watch(), histórico recente de alterações (para resumeAfter)
+        // e último estado publicado, base para detectar alterações feitas por outros processos
+        this.changeStreams = new Set();
+        this.changeHistory = [];
+        this.changeHistorySize = options.changeHistorySize || 1000;
+        this.changePollMs = options.changePollMs || 1000;
+        this.changePoller = null;
+        this.observed = null;
+
+        // Coleções do mesmo banco abertas pelo $lookup
+        this.siblings = new Map();
+
+        this.ready = this.ensureDatabase();
     }
 
     async ensureDatabase() {
         try {
-            // Criar diretório do banco se não existir
-            await fs.ensureDir(this.dbPath);
+            await this.storage.init();
 
-            // Criar arquivo da coleção se não existir
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
+            if (this.cacheEnabled) {
+                this.startWatching();
             }
-
-            // Criar índice se não existir
-            if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
+            if (this.ttlRules.length > 0) {
+                this.startTtlSweep();
             }
         } catch (error) {
             console.error('Erro ao inicializar banco:', error);
@@ -33,22 +79,255 @@ class JsonDatabase {
         }
     }
 
+    // Sem watcher (ou em armazenamentos que não o oferecem) o cache é validado
+    // pela assinatura dos dados a cada leitura
+    startWatching() {
+        this.storage.watch(() => {
+            this.checkExternalChange().catch(error => {
+                console.error(`Erro ao verificar alterações em ${this.collectionName}:`, error.message);
+            });
+        });
+    }
+
+    stopWatching() {
+        this.storage.unwatch();
+    }
+
+    // Eventos das nossas próprias escritas não invalidam: durante a escrita o cache é
+    // substituído ao final dela, e depois a assinatura já é a do cache
+    async checkExternalChange() {
+        if (this.writing) return;
+        if (this.cache) {
+            const signature = await this.readSignature();
+            if (this.cache && signature !== this.cache.signature) {
+                this.invalidateCache();
+            }
+        }
+
+        // Com change streams abertos, recarregar já publica as alterações dos outros processos
+        if (this.changeStreams.size > 0 && !this.cache) {
+            await this.loadState();
+        }
+    }
+
+    invalidateCache() {
+        if (this.cache) {
+            this.cache = null;
+            this.cacheStats.invalidations++;
+        }
+    }
+
+    getCacheStats() {
+        const { hits, misses, invalidations } = this.cacheStats;
+        const total = hits + misses;
+        return {
+            enabled: this.cacheEnabled,
+            watching: this.storage.isWatching(),
+            hits,
+            misses,
+            invalidations,
+            hitRate: total > 0 ? Number((hits / total).toFixed(4)) : 0,
+            cachedDocuments: this.cache ? this.cache.documents.length : 0
+        };
+    }
+
+    getStorageInfo() {
+        return this.storage.describe();
+    }
+
+    close() {
+        this.stopTtlSweep();
+        this.changeStreams.forEach(stream => stream.close());
+        this.stopWatching();
+        this.cache = null;
+        this.siblings.forEach(sibling => sibling.close());
+        this.siblings.clear();
+        this.storage.close();
+    }
+
+    // Observa alterações na coleção. `filter` é aplicado ao documento alterado (o novo,
+    // ou o removido em deletes); options.operationTypes restringe os tipos de evento e
+    // options.resumeAfter reenvia as alterações com seq maior, se ainda estiverem no histórico.
+    watch(filter = {}, options = {}) {
+        const stream = new ChangeStream(this, filter, options);
+        this.changeStreams.add(stream);
+        this.startChangeTracking();
+
+        // Reenvio no próximo tick, para dar tempo de registrar os ouvintes
+        process.nextTick(() => this.replayChanges(stream, options.resumeAfter));
+        return stream;
+    }
+
+    unwatch(stream) {
+        this.changeStreams.delete(stream);
+        if (this.changeStreams.size === 0) {
+            this.stopChangeTracking();
+        }
+    }
+
+    startChangeTracking() {
+        if (!this.observed) {
+            this.loadState()
+                .then(state => {
+                    if (!this.observed) this.observed = { seq: state.seq, documents: state.documents };
+                })
+                .catch(error => console.error(`Erro ao observar ${this.collectionName}:`, error.message));
+        }
+
+        // Sem watcher no armazenamento, alterações externas são percebidas por polling
+        if (!this.changePoller && !this.storage.isWatching()) {
+            this.changePoller = setInterval(() => {
+                this.checkExternalChange().catch(error => {
+                    console.error(`Erro ao verificar alterações em ${this.collectionName}:`, error.message);
+                });
+            }, this.changePollMs);
+            this.changePoller.unref();
+        }
+    }
+
+    stopChangeTracking() {
+        if (this.changePoller) {
+            clearInterval(this.changePoller);
+            this.changePoller = null;
+        }
+        this.observed = null;
+    }
+
+    replayChanges(stream, resumeAfter) {
+        if (resumeAfter === undefined || resumeAfter === null || stream.closed) return;
+
+        const history = this.changeHistory;
+        const latest = history.length > 0
+            ? history[history.length - 1].seq
+            : (this.observed ? this.observed.seq : resumeAfter);
+        if (resumeAfter >= latest) return;
+
+        if (history.length === 0 || history[0].seq > resumeAfter + 1) {
+            const error = new Error(`Alterações de ${this.collectionName} após o seq ${resumeAfter} não estão mais disponíveis`);
+            error.code = 'CHANGE_HISTORY_LOST';
+            error.status = 410;
+            stream.fail(error);
+            return;
+        }
+
+        history.filter(change => change.seq > resumeAfter).forEach(change => stream.push(change));
+    }
+
+    publishChange(change) {
+        this.changeHistory.push(change);
+        if (this.changeHistory.length > this.changeHistorySize) {
+            this.changeHistory.splice(0, this.changeHistory.length - this.changeHistorySize);
+        }
+        this.changeStreams.forEach(stream => stream.push(change));
+    }
+
+    describeChange(record, before) {
+        const after = record.op === 'upsert' ? record.document : null;
+        let operationType = 'update';
+        if (!after) operationType = 'delete';
+        else if (!before) operationType = 'insert';
+
+        return {
+            seq: record.seq,
+            operationType,
+            collection: this.collectionName,
+            documentId: after ? after.id : record.id,
+            before: before ? this.cloneDocument(before) : null,
+            after: after ? this.cloneDocument(after) : null,
+            at: record.at
+        };
+    }
+
+    // Publica as alterações entre o último estado observado e o estado lido do armazenamento
+    // (escritas de outros processos). Usa o log do armazenamento quando disponível;
+    // senão compara os dois estados, e todas as alterações recebem o seq do estado novo.
+    async publishExternalChanges(state) {
+        const observed = this.observed;
+        if (this.changeStreams.size === 0 || !observed || state.seq <= observed.seq) return;
+        this.observed = { seq: state.seq, documents: state.documents };
+
+        const before = new Map(observed.documents.map(doc => [doc.id, doc]));
+        const records = this.storage.readChanges
+            ? await this.storage.readChanges(observed.seq, state.seq)
+            : null;
+
+        if (records) {
+            for (const record of records) {
+                const id = record.op === 'upsert' ? record.document.id : record.id;
+                if (record.op === 'delete' && !before.has(id)) continue;
+                this.publishChange(this.describeChange(record, before.get(id)));
+                if (record.op === 'upsert') before.set(id, record.document);
+                else before.delete(id);
+            }
+            return;
+        }
+
+        const at = new Date().toISOString();
+        for (const document of state.documents) {
+            const previous = before.get(document.id);
+            before.delete(document.id);
+            if (!previous || !this.isEqual(previous, document)) {
+                this.publishChange(this.describeChange({ op: 'upsert', document, seq: state.seq, at }, previous));
+            }
+        }
+        for (const [id, previous] of before) {
+            this.publishChange(this.describeChange({ op: 'delete', id, seq: state.seq, at }, previous));
+        }
+    }
+
+    setSchema(schema) {
+        this.schema = schema ? new SchemaValidator(schema) : null;
+    }
+
+    // Preenche os defaults do schema e valida o documento que será gravado.
+    // Lança erro com code 'VALIDATION_ERROR', status 400 e a lista `errors`.
+    prepareDocument(document) {
+        if (!this.schema) return document;
+        this.schema.applyDefaults(document);
+        this.schema.assertValid(document, this.collectionName);
+        return document;
+    }
+
+    // Criar índice secundário. `fields` pode ser um campo ('email') ou uma lista de campos
+    // (índice composto). Com { unique: true } create/update rejeitam valores duplicados.
+    async createIndex(fields, options = {}) {
+        const definition = this.indexes.define(fields, options);
+        try {
+            await this.getIndexedState();
+            return definition.name;
+        } catch (error) {
+            this.indexes.drop(definition.name);
+            console.error(`Erro ao criar índice ${definition.name}:`, error.message);
+            throw error;
+        }
+    }
+
+    dropIndex(name) {
+        return this.indexes.drop(name);
+    }
+
+    listIndexes() {
+        return this.indexes.list();
+    }
+
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            return await this.mutate(async (documents) => {
+                // Cópias na entrada e na saída: objetos do chamador não ficam presos ao cache
+                const document = {
+                    id: data.id || uuidv4(),
+                    ...this.cloneDocument(data),
+                    _version: 1,
+                    createdAt: data.createdAt || new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                };
+                this.prepareDocument(document);
 
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
+                documents.push(document);
 
-            return document;
+                return { result: this.cloneDocument(document), records: [{ op: 'upsert', document }] };
+            });
         } catch (error) {
             console.error('Erro ao criar documento:', error);
             throw error;
@@ -56,10 +335,14 @@ class JsonDatabase {
     }
 
     // Buscar por ID
-    async findById(id) {
+    async findById(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const state = await this.getIndexedState();
+            const position = state.positions.get(id);
+            if (position === undefined || !this.isVisible(state.documents[position], options)) {
+                return null;
+            }
+            return this.projectDocument(state.documents[position], options.projection);
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -67,10 +350,13 @@ class JsonDatabase {
     }
 
     // Buscar um documento com filtro
-    async findOne(filter) {
+    async findOne(filter, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const state = await this.getIndexedState();
+            const now = Date.now();
+            const document = this.candidateDocuments(state, filter)
+                .find(doc => this.isVisible(doc, options, now) && this.matchesFilter(doc, filter));
+            return document ? this.projectDocument(document, options.projection) : null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -80,16 +366,12 @@ class JsonDatabase {
     // Buscar múltiplos documentos
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
+            const state = await this.getIndexedState();
+            let documents = this.matchingDocuments(state, filter, options);
 
-            // Aplicar filtro
-            if (Object.keys(filter).length > 0) {
-                documents = documents.filter(doc => this.matchesFilter(doc, filter));
-            }
-
-            // Aplicar ordenação
+            // Aplicar ordenação (sobre uma cópia: o array pode ser o do cache)
             if (options.sort) {
-                documents = this.sortDocuments(documents, options.sort);
+                documents = this.sortDocuments([...documents], options.sort);
             }
 
             // Aplicar paginação
@@ -99,80 +381,297 @@ class JsonDatabase {
                 documents = documents.slice(skip, skip + limit);
             }
 
-            return documents;
+            return documents.map(doc => this.projectDocument(doc, options.projection));
         } catch (error) {
             console.error('Erro ao buscar documentos:', error);
             throw error;
         }
     }
 
-    // Contar documentos
-    async count(filter = {}) {
+    // Projeção (options.projection de findById, findOne, find e findPage), devolvendo uma cópia:
+    //   inclusão { name: 1, 'summary.totalItems': 1 } → só esses campos (e o id, a menos que id: 0)
+    //   exclusão { items: 0 }                          → tudo menos esses campos
+    // Caminhos aninhados atravessam arrays: { 'items.itemName': 1 } mantém só o itemName de
+    // cada elemento de items. Inclusão e exclusão não podem ser misturadas.
+    projectDocument(document, projection) {
+        if (!projection || Object.keys(projection).length === 0) {
+            return this.cloneDocument(document);
+        }
+
+        const entries = Object.entries(projection);
+        const included = entries.filter(([, value]) => value === 1 || value === true);
+        const exclusion = included.length === 0;
+        if (!exclusion && included.length !== entries.length &&
+            !(entries.length - included.length === 1 && projection.id === 0)) {
+            const error = new Error('Projeção não pode misturar inclusão e exclusão de campos');
+            error.code = 'INVALID_PROJECTION';
+            error.status = 400;
+            throw error;
+        }
+
+        // Nós sem protótipo: um caminho como "__proto__.x" não alcança Object.prototype
+        const tree = Object.create(null);
+        for (const [path] of exclusion ? entries : included) {
+            const keys = path.split('.');
+            const last = keys.pop();
+            let node = tree;
+            for (const key of keys) {
+                // Um prefixo já selecionado inteiro cobre o caminho mais específico
+                node = node && node[key] === true ? null : (node && (node[key] = node[key] || Object.create(null)));
+            }
+            if (node) {
+                node[last] = true;
+            }
+        }
+        if (!exclusion && projection.id !== 0) {
+            tree.id = true;
+        }
+
+        return exclusion
+            ? this.excludeFields(this.cloneDocument(document), tree)
+            : this.includeFields(document, tree);
+    }
+
+    includeFields(value, tree) {
+        if (tree === true) return this.cloneDocument(value);
+        if (Array.isArray(value)) {
+            return value.map(element => this.includeFields(element, tree)).filter(element => element !== undefined);
+        }
+        if (typeof value !== 'object' || value === null) return undefined;
+
+        const result = {};
+        for (const [key, subtree] of Object.entries(tree)) {
+            if (!Object.prototype.hasOwnProperty.call(value, key) || value[key] === undefined) continue;
+            const projected = this.includeFields(value[key], subtree);
+            if (projected !== undefined) result[key] = projected;
+        }
+        return result;
+    }
+
+    excludeFields(value, tree) {
+        if (Array.isArray(value)) {
+            value.forEach(element => this.excludeFields(element, tree));
+        } else if (typeof value === 'object' && value !== null) {
+            for (const [key, subtree] of Object.entries(tree)) {
+                if (subtree === true) delete value[key];
+                else if (Object.prototype.hasOwnProperty.call(value, key)) this.excludeFields(value[key], subtree);
+            }
+        }
+        return value;
+    }
+
+    // Paginação por cursor: { documents, hasMore, nextCursor, total? }.
+    // O `id` entra como último critério de ordenação, então cada documento tem uma posição
+    // única; o cursor (opaco) guarda os valores de ordenação do último documento da página,
+    // e a próxima página começa logo depois dele mesmo que documentos tenham sido inseridos
+    // ou removidos no meio tempo. options: sort, limit (padrão 20), after, includeTotal e
+    // as opções de visibilidade e projeção de find.
+    async findPage(filter = {}, options = {}) {
+        const sort = this.stableSort(options.sort);
+        const limit = Math.max(1, options.limit || 20);
+        const after = options.after ? this.decodeCursor(options.after, sort) : null;
+
         try {
-            const documents = await this.readAll();
-            if (Object.keys(filter).length === 0) {
-                return documents.length;
+            const state = await this.getIndexedState();
+            let documents = this.matchingDocuments(state, filter, options);
+            const total = documents.length;
+
+            const fields = Object.entries(sort);
+            if (after) {
+                documents = documents.filter(doc => this.compareSortValues(this.sortValues(doc, fields), after, fields) > 0);
             }
-            return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+            documents = this.sortDocuments([...documents], sort);
+
+            const page = documents.slice(0, limit);
+            const hasMore = documents.length > limit;
+            return {
+                documents: page.map(doc => this.projectDocument(doc, options.projection)),
+                hasMore,
+                nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort) : null,
+                ...(options.includeTotal ? { total } : {})
+            };
+        } catch (error) {
+            console.error('Erro ao buscar página de documentos:', error);
+            throw error;
+        }
+    }
+
+    // Contar documentos
+    async count(filter = {}, options = {}) {
+        try {
+            const state = await this.getIndexedState();
+            return this.matchingDocuments(state, filter, options).length;
         } catch (error) {
             console.error('Erro ao contar documentos:', error);
             throw error;
         }
     }
 
-    // Atualizar documento
-    async update(id, updates) {
+    // Atualizar documento. Com options.expectedVersion a atualização só é aplicada se o
+    // _version atual for o esperado (controle de concorrência otimista).
+    // updates também pode ser uma função do documento atual que devolve a atualização: ela
+    // roda sob o lock, então campos derivados (ex.: um resumo) saem na mesma escrita.
+    // options.preserveVersion mantém _version e updatedAt: só para reescritas que a API não
+    // expõe (campos internos), em que os ETags dos clientes continuam corretos.
+    // Documentos apagados (soft delete) ou expirados são tratados como inexistentes.
+    async update(id, updates, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.mutate(async (documents) => {
+                const index = documents.findIndex(doc => doc.id === id);
 
-            if (index === -1) {
-                return null;
-            }
+                if (index === -1 || !this.isVisible(documents[index], options)) {
+                    return { result: null, records: [] };
+                }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+                const current = documents[index];
+                this.assertVersion(current, options.expectedVersion);
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+                documents[index] = {
+                    ...this.applyUpdate(current, typeof updates === 'function' ? updates(this.cloneDocument(current)) : updates),
+                    id: current.id, // Preservar ID
+                    _version: options.preserveVersion ? current._version : (current._version || 0) + 1,
+                    createdAt: current.createdAt, // Preservar data de criação
+                    updatedAt: options.preserveVersion ? current.updatedAt : new Date().toISOString()
+                };
+                this.prepareDocument(documents[index]);
 
-            return documents[index];
+                return { result: this.cloneDocument(documents[index]), records: [{ op: 'upsert', document: documents[index] }] };
+            });
         } catch (error) {
             console.error('Erro ao atualizar documento:', error);
             throw error;
         }
     }
 
-    // Deletar documento
-    async delete(id) {
+    // Deletar documento (aceita options.expectedVersion como o update).
+    // Com soft delete o documento só recebe `deletedAt`; options.hard remove de fato.
+    async delete(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.mutate(async (documents) => {
+                const index = documents.findIndex(doc => doc.id === id);
 
-            if (index === -1) {
-                return false;
-            }
+                if (index === -1 || !this.isVisible(documents[index], options)) {
+                    return { result: false, records: [] };
+                }
+
+                const current = documents[index];
+                this.assertVersion(current, options.expectedVersion);
+
+                if (this.softDelete && !options.hard) {
+                    const now = new Date().toISOString();
+                    documents[index] = {
+                        ...this.cloneDocument(current),
+                        deletedAt: now,
+                        _version: (current._version || 0) + 1,
+                        updatedAt: now
+                    };
+                    return { result: true, records: [{ op: 'upsert', document: documents[index] }] };
+                }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+                documents.splice(index, 1);
 
-            return true;
+                return { result: true, records: [{ op: 'delete', id }] };
+            });
         } catch (error) {
             console.error('Erro ao deletar documento:', error);
             throw error;
         }
     }
 
+    // Desfaz o soft delete; null se o documento não existe ou não está apagado
+    async restore(id) {
+        return this.update(id, { $unset: { deletedAt: '' } }, { onlyDeleted: true });
+    }
+
+    // Remove definitivamente um documento apagado (lixeira)
+    async purge(id) {
+        return this.delete(id, { hard: true, onlyDeleted: this.softDelete });
+    }
+
+    // Visibilidade nas consultas: expirados nunca aparecem; com soft delete, apagados só
+    // aparecem com options.withDeleted (junto com os demais) ou options.onlyDeleted
+    isVisible(document, options = {}, now = Date.now()) {
+        if (this.isExpired(document, now)) return false;
+        if (!this.softDelete) return true;
+
+        const deleted = document.deletedAt !== undefined && document.deletedAt !== null;
+        if (options.onlyDeleted) return deleted;
+        return Boolean(options.withDeleted) || !deleted;
+    }
+
+    visibleDocuments(documents, options = {}) {
+        if (!this.softDelete && this.ttlRules.length === 0) return documents;
+        const now = Date.now();
+        return documents.filter(doc => this.isVisible(doc, options, now));
+    }
+
+    isExpired(document, now = Date.now()) {
+        return this.ttlRules.some(({ field, expireAfterSeconds = 0 }) => {
+            const value = this.getNestedValue(document, field);
+            if (!value) return false;
+            const time = new Date(value).getTime();
+            return !Number.isNaN(time) && time + expireAfterSeconds * 1000 <= now;
+        });
+    }
+
+    // Remove os documentos expirados; devolve quantos foram removidos
+    async expireDocuments() {
+        const now = Date.now();
+        const state = await this.loadState();
+        if (!state.documents.some(doc => this.isExpired(doc, now))) {
+            return 0;
+        }
+
+        const removed = await this.mutate(async (documents) => {
+            const expired = new Set(documents.filter(doc => this.isExpired(doc, now)).map(doc => doc.id));
+            for (let i = documents.length - 1; i >= 0; i--) {
+                if (expired.has(documents[i].id)) documents.splice(i, 1);
+            }
+            return { result: expired.size, records: [...expired].map(id => ({ op: 'delete', id })) };
+        });
+
+        if (removed > 0) {
+            console.log(`${removed} documento(s) expirado(s) removido(s) de ${this.collectionName}`);
+        }
+        return removed;
+    }
+
+    startTtlSweep() {
+        if (this.ttlTimer) return;
+        const sweep = () => this.expireDocuments().catch(error => {
+            console.error(`Erro ao remover documentos expirados de ${this.collectionName}:`, error.message);
+        });
+        this.ttlTimer = setInterval(sweep, this.ttlSweepMs);
+        this.ttlTimer.unref();
+        sweep();
+    }
+
+    stopTtlSweep() {
+        if (this.ttlTimer) {
+            clearInterval(this.ttlTimer);
+            this.ttlTimer = null;
+        }
+    }
+
+    // Documentos anteriores ao controle de versão são tratados como versão 0
+    assertVersion(document, expectedVersion) {
+        if (expectedVersion === undefined || expectedVersion === null) return;
+
+        const currentVersion = document._version || 0;
+        if (currentVersion !== expectedVersion) {
+            const error = new Error(`Versão do documento ${document.id} mudou (esperada ${expectedVersion}, atual ${currentVersion})`);
+            error.code = 'VERSION_CONFLICT';
+            error.status = 412;
+            error.expectedVersion = expectedVersion;
+            error.currentVersion = currentVersion;
+            throw error;
+        }
+    }
+
     // Busca de texto
-    async search(query, fields = []) {
+    async search(query, fields = [], options = {}) {
         try {
-            const documents = await this.readAll();
+            const documents = this.visibleDocuments(await this.readAll(), options);
             const searchTerm = query.toLowerCase();
 
             return documents.filter(doc => {
@@ -186,102 +685,595 @@ class JsonDatabase {
 
                 // Buscar em todos os campos de string do documento
                 return this.searchInObject(doc, searchTerm);
-            });
+            }).map(doc => this.cloneDocument(doc));
         } catch (error) {
             console.error('Erro na busca:', error);
             throw error;
         }
     }
 
-    // Métodos auxiliares
-    async readAll() {
+    // Agregação (ver AggregationPipeline para os estágios suportados)
+    async aggregate(pipeline) {
         try {
-            return await fs.readJson(this.filePath);
+            return await new AggregationPipeline(this).run(pipeline);
         } catch (error) {
-            return [];
+            console.error('Erro na agregação:', error);
+            throw error;
         }
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    // Todos os documentos (inclusive apagados e expirados), lidos sob o lock da coleção
+    // para que nenhuma escrita fique pela metade na cópia (usado pelos backups)
+    async exportDocuments() {
+        await this.ready;
+        return this.storage.withLock(async () => {
+            const state = await this.loadState({ validate: true });
+            return state.documents.map(doc => this.cloneDocument(doc));
+        });
     }
 
-    async updateIndex(document) {
+    // Substitui todo o conteúdo da coleção (restauração de backup). Só grava o que difere do
+    // estado atual, como remoções e upserts comuns: journal, índices e change streams acompanham.
+    async importDocuments(incoming) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
-            };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            return await this.mutate(async (documents) => {
+                const current = new Map(documents.map(doc => [doc.id, doc]));
+                const next = new Map(incoming.map(doc => [doc.id, this.cloneDocument(doc)]));
+
+                // Remoções antes das gravações, para não violar índices únicos no meio do caminho
+                const records = [];
+                current.forEach((_doc, id) => {
+                    if (!next.has(id)) records.push({ op: 'delete', id });
+                });
+                const deleted = records.length;
+                next.forEach((doc, id) => {
+                    if (!current.has(id) || JSON.stringify(current.get(id)) !== JSON.stringify(doc)) {
+                        records.push({ op: 'upsert', document: doc });
+                    }
+                });
+
+                documents.splice(0, documents.length, ...next.values());
+                return { result: { deleted, written: records.length - deleted, total: next.size }, records };
+            });
         } catch (error) {
-            console.error('Erro ao atualizar índice:', error);
+            console.error('Erro ao importar documentos:', error);
+            throw error;
+        }
+    }
+
+    // Documentos de outra coleção do mesmo banco; coleção inexistente é tratada como vazia
+    async readSiblingCollection(collectionName) {
+        if (collectionName === this.collectionName) {
+            return this.find();
+        }
+
+        if (!this.siblings.has(collectionName)) {
+            await this.ready;
+            if (!await this.storage.hasCollection(collectionName)) {
+                return [];
+            }
+            this.siblings.set(collectionName, new JsonDatabase(this.dbPath, collectionName, {
+                storage: this.storage.sibling(collectionName),
+                cache: this.cacheEnabled
+            }));
+        }
+
+        return this.siblings.get(collectionName).find();
+    }
+
+    // Métodos auxiliares
+    // Atenção: devolve os documentos do cache, que não devem ser alterados
+    async readAll() {
+        const state = await this.loadState();
+        return state.documents;
+    }
+
+    async readSignature() {
+        return this.storage.signature();
+    }
+
+    // Estado atual, vindo do cache quando válido. Com o watcher ativo o cache é confiável
+    // até receber um evento; `validate` força a conferência da assinatura (usado nas escritas).
+    async loadState({ validate = false } = {}) {
+        const cached = this.cacheEnabled ? this.cache : null;
+        if (cached) {
+            const fresh = this.storage.isWatching() && !validate
+                ? true
+                : (await this.readSignature()) === cached.signature;
+
+            if (fresh) {
+                this.cacheStats.hits++;
+                return cached;
+            }
+            if (this.cache === cached) this.invalidateCache();
+        }
+
+        await this.ready;
+        this.cacheStats.misses++;
+        // Assinatura lida antes dos arquivos: uma escrita concorrente só causa uma recarga extra
+        const signature = await this.readSignature();
+        const state = await this.readStateFromDisk();
+        state.signature = signature;
+
+        if (this.cacheEnabled) {
+            this.cache = state;
+        }
+        await this.publishExternalChanges(state);
+        return state;
+    }
+
+    async readStateFromDisk() {
+        return this.storage.load();
+    }
+
+    // Estado atual com os índices sincronizados e o mapa id -> posição no array
+    async getIndexedState() {
+        const state = await this.loadState();
+        await this.syncIndexes(state);
+        if (!state.positions) {
+            state.positions = new Map(state.documents.map((doc, position) => [doc.id, position]));
+        }
+        return state;
+    }
+
+    async syncIndexes(state) {
+        if (this.indexes.isSynced(state.seq)) return;
+
+        const persisted = await this.storage.readIndexes();
+        if (!this.indexes.load(persisted, state.seq)) {
+            this.indexes.build(state.documents, state.seq);
+        }
+    }
+
+    // Usa os índices para reduzir os documentos avaliados pelo filtro (mantendo a ordem da coleção)
+    // Documentos que casam com o filtro e estão visíveis (soft delete/TTL)
+    matchingDocuments(state, filter, options = {}) {
+        let documents = this.candidateDocuments(state, filter);
+        if (Object.keys(filter).length > 0) {
+            documents = documents.filter(doc => this.matchesFilter(doc, filter));
         }
+        return this.visibleDocuments(documents, options);
     }
 
-    async removeFromIndex(id) {
+    candidateDocuments(state, filter) {
+        const ids = this.indexes.plan(filter);
+        if (ids === null) {
+            return state.documents;
+        }
+
+        return [...ids]
+            .map(id => state.positions.get(id))
+            .filter(position => position !== undefined)
+            .sort((a, b) => a - b)
+            .map(position => state.documents[position]);
+    }
+
+    // Executa uma mutação sob lock. A operação recebe os documentos atuais, altera o array
+    // e devolve { result, records } com as operações a entregar ao armazenamento.
+    async mutate(operation) {
+        await this.ready;
+        return this.storage.withLock(async () => {
+            const state = await this.loadState({ validate: true });
+            await this.syncIndexes(state);
+
+            // A operação altera uma cópia do array; o estado em cache só é trocado após gravar
+            const documents = [...state.documents];
+            const previous = new Map(state.documents.map(doc => [doc.id, doc]));
+            const { result, records } = await operation(documents);
+
+            if (records.length > 0) {
+                const at = new Date().toISOString();
+                records.forEach((record, i) => {
+                    record.seq = state.seq + i + 1;
+                    record.at = at;
+                });
+
+                const seq = state.seq + records.length;
+                this.writing = true;
+                try {
+                    this.applyToIndexes(records, previous);
+                    this.indexes.seq = seq;
+
+                    const { compacted } = await this.storage.commit(records, documents, seq);
+                    if (compacted) {
+                        await this.writeIndex(documents, seq);
+                    }
+
+                    if (this.cacheEnabled) {
+                        this.cache = { documents, seq, signature: await this.readSignature() };
+                    }
+                } catch (error) {
+                    // Índices e cache em memória podem ter ficado à frente do disco
+                    this.indexes.invalidate();
+                    this.cache = null;
+                    throw error;
+                } finally {
+                    this.writing = false;
+                }
+
+                const changes = records.map(record => this.describeChange(record, previous.get(
+                    record.op === 'upsert' ? record.document.id : record.id
+                )));
+                if (this.observed) {
+                    this.observed = { seq, documents };
+                }
+                changes.forEach(change => this.publishChange(change));
+            }
+
+            return result;
+        });
+    }
+
+    // Atualiza os índices com as operações, validando as restrições de unicidade
+    applyToIndexes(records, previous) {
+        for (const record of records) {
+            const id = record.op === 'delete' ? record.id : record.document.id;
+            const before = previous.get(id);
+
+            if (before) this.indexes.remove(before);
+            if (record.op === 'upsert') {
+                this.indexes.assertUnique(record.document);
+                this.indexes.add(record.document);
+            }
+        }
+    }
+
+    // Índices secundários persistidos quando o armazenamento compacta, junto com o seq que refletem
+    async writeIndex(documents, seq) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            if (!this.indexes.isSynced(seq)) {
+                this.indexes.build(documents, seq);
+            }
+            await this.storage.writeIndexes(this.indexes.toJSON());
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            console.error('Erro ao atualizar índice:', error);
         }
     }
 
+    // Aplica um objeto de atualização sobre uma cópia do documento.
+    // Aceita campos simples / caminhos com ponto (tratados como $set) e os
+    // operadores $set, $unset, $inc, $push, $pull e $addToSet.
+    applyUpdate(document, updates) {
+        const result = this.cloneDocument(document);
+        const keys = Object.keys(updates);
+        const operators = keys.filter(key => key.startsWith('$'));
+
+        if (operators.length > 0 && operators.length !== keys.length) {
+            throw new Error('Não é permitido misturar operadores de atualização com campos simples');
+        }
+
+        const groups = operators.length > 0 ? updates : { $set: updates };
+
+        for (const [operator, fields] of Object.entries(groups)) {
+            if (typeof fields !== 'object' || fields === null) {
+                throw new Error(`Argumento inválido para ${operator}`);
+            }
+
+            for (const [field, value] of Object.entries(fields)) {
+                switch (operator) {
+                    case '$set':
+                        this.setNestedValue(result, field, this.cloneDocument(value));
+                        break;
+
+                    case '$unset':
+                        this.unsetNestedValue(result, field);
+                        break;
+
+                    case '$inc': {
+                        const currentValue = this.getNestedValue(result, field);
+                        if (typeof value !== 'number' || (currentValue !== undefined && typeof currentValue !== 'number')) {
+                            throw new Error(`$inc exige valores numéricos (campo: ${field})`);
+                        }
+                        this.setNestedValue(result, field, (currentValue || 0) + value);
+                        break;
+                    }
+
+                    case '$push': {
+                        const array = this.getArrayForUpdate(result, field, operator);
+                        array.push(...this.eachValues(value).map(v => this.cloneDocument(v)));
+                        break;
+                    }
+
+                    case '$addToSet': {
+                        const array = this.getArrayForUpdate(result, field, operator);
+                        for (const candidate of this.eachValues(value)) {
+                            if (!array.some(existing => this.isEqual(existing, candidate))) {
+                                array.push(this.cloneDocument(candidate));
+                            }
+                        }
+                        break;
+                    }
+
+                    case '$pull': {
+                        const array = this.getNestedValue(result, field);
+                        if (array === undefined) break;
+                        if (!Array.isArray(array)) {
+                            throw new Error(`$pull exige um array (campo: ${field})`);
+                        }
+                        this.setNestedValue(result, field, array.filter(item => !this.matchesPullCondition(item, value)));
+                        break;
+                    }
+
+                    default:
+                        throw new Error(`Operador de atualização não suportado: ${operator}`);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    getArrayForUpdate(document, field, operator) {
+        const current = this.getNestedValue(document, field);
+        if (current === undefined || current === null) {
+            const array = [];
+            this.setNestedValue(document, field, array);
+            return array;
+        }
+        if (!Array.isArray(current)) {
+            throw new Error(`${operator} exige um array (campo: ${field})`);
+        }
+        return current;
+    }
+
+    // { $each: [a, b] } adiciona vários valores; qualquer outro valor é adicionado como único elemento
+    eachValues(value) {
+        if (value && typeof value === 'object' && Array.isArray(value.$each)) {
+            return value.$each;
+        }
+        return [value];
+    }
+
+    // Condição do $pull: operadores ({ $gt: 5 }) valem para o próprio elemento,
+    // objeto simples é tratado como filtro sobre cada elemento e
+    // demais valores são comparados por igualdade
+    matchesPullCondition(item, condition) {
+        if (this.isOperatorObject(condition)) {
+            return this.matchesCondition(item, condition);
+        }
+        if (condition && typeof condition === 'object' && !Array.isArray(condition)
+            && item && typeof item === 'object') {
+            return this.matchesFilter(item, condition);
+        }
+        return this.isEqual(item, condition);
+    }
+
     matchesFilter(document, filter) {
         return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
+            // Operadores lógicos
+            switch (key) {
+                case '$or':
+                    return this.asFilterList(key, value).some(sub => this.matchesFilter(document, sub));
+                case '$and':
+                    return this.asFilterList(key, value).every(sub => this.matchesFilter(document, sub));
+                case '$nor':
+                    return !this.asFilterList(key, value).some(sub => this.matchesFilter(document, sub));
+                default:
+                    if (key.startsWith('$')) {
+                        throw new Error(`Operador de filtro não suportado: ${key}`);
+                    }
+            }
 
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
-                }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
-                }
-                if (value.$gt) {
-                    return docValue > value.$gt;
-                }
-                if (value.$lt) {
-                    return docValue < value.$lt;
-                }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
-                }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
+            return this.matchesCondition(this.getNestedValue(document, key), value);
+        });
+    }
+
+    asFilterList(operator, value) {
+        if (!Array.isArray(value)) {
+            throw new Error(`${operator} exige um array de filtros`);
+        }
+        return value;
+    }
+
+    isOperatorObject(value) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value) || value instanceof RegExp) {
+            return false;
+        }
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    // Avalia o valor de um campo contra um valor literal, uma RegExp ou um objeto de operadores
+    matchesCondition(docValue, condition) {
+        if (condition instanceof RegExp) {
+            return this.matchesRegex(docValue, condition);
+        }
+
+        if (!this.isOperatorObject(condition)) {
+            return this.matchesEquality(docValue, condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq':
+                    return this.matchesEquality(docValue, operand);
+                case '$ne':
+                    return !this.matchesEquality(docValue, operand);
+                case '$in':
+                    return this.asOperandList(operator, operand).some(v => this.matchesEquality(docValue, v));
+                case '$nin':
+                    return !this.asOperandList(operator, operand).some(v => this.matchesEquality(docValue, v));
+                case '$gt':
+                    return this.isComparable(docValue, operand) && docValue > operand;
+                case '$gte':
+                    return this.isComparable(docValue, operand) && docValue >= operand;
+                case '$lt':
+                    return this.isComparable(docValue, operand) && docValue < operand;
+                case '$lte':
+                    return this.isComparable(docValue, operand) && docValue <= operand;
+                case '$exists':
+                    return (docValue !== undefined) === Boolean(operand);
+                case '$regex': {
+                    const regex = operand instanceof RegExp
+                        ? operand
+                        : new RegExp(operand, condition.$options !== undefined ? condition.$options : 'i');
+                    return this.matchesRegex(docValue, regex);
                 }
+                case '$options':
+                    return true; // Consumido pelo $regex
+                case '$not':
+                    return !this.matchesCondition(docValue, operand);
+                case '$size':
+                    return Array.isArray(docValue) && docValue.length === operand;
+                case '$elemMatch':
+                    return Array.isArray(docValue) && docValue.some(element => {
+                        if (this.isOperatorObject(operand)) {
+                            return this.matchesCondition(element, operand);
+                        }
+                        return typeof element === 'object' && element !== null
+                            && this.matchesFilter(element, operand);
+                    });
+                default:
+                    throw new Error(`Operador de filtro não suportado: ${operator}`);
             }
-
-            return docValue === value;
         });
     }
 
+    asOperandList(operator, operand) {
+        if (!Array.isArray(operand)) {
+            throw new Error(`${operator} exige um array`);
+        }
+        return operand;
+    }
+
+    // Arrays casam se forem iguais ao valor ou se algum elemento for igual
+    matchesEquality(docValue, value) {
+        if (this.isEqual(docValue, value)) return true;
+        return Array.isArray(docValue) && docValue.some(element => this.isEqual(element, value));
+    }
+
+    matchesRegex(docValue, regex) {
+        if (Array.isArray(docValue)) {
+            return docValue.some(element => this.matchesRegex(element, regex));
+        }
+        if (typeof docValue !== 'string' && typeof docValue !== 'number') {
+            return false;
+        }
+        regex.lastIndex = 0;
+        return regex.test(String(docValue));
+    }
+
+    // Comparações só fazem sentido entre valores do mesmo tipo (número x número, string x string)
+    isComparable(docValue, operand) {
+        return docValue !== undefined && docValue !== null && typeof docValue === typeof operand;
+    }
+
     getNestedValue(obj, path) {
         return path.split('.').reduce((current, key) => {
             return current && current[key] !== undefined ? current[key] : undefined;
         }, obj);
     }
 
+    // Segmentos de um caminho de escrita; __proto__, constructor e prototype são recusados
+    pathKeys(path) {
+        const keys = String(path).split('.');
+        if (keys.some(key => RESERVED_KEYS.has(key))) {
+            const error = new Error(`Caminho de campo inválido: ${path}`);
+            error.code = 'INVALID_PATH';
+            error.status = 400;
+            throw error;
+        }
+        return keys;
+    }
+
+    setNestedValue(obj, path, value) {
+        const keys = this.pathKeys(path);
+        const last = keys.pop();
+        let current = obj;
+        for (const key of keys) {
+            if (typeof current[key] !== 'object' || current[key] === null) {
+                current[key] = {};
+            }
+            current = current[key];
+        }
+        current[last] = value;
+    }
+
+    unsetNestedValue(obj, path) {
+        const keys = this.pathKeys(path);
+        const last = keys.pop();
+        const parent = keys.length > 0 ? this.getNestedValue(obj, keys.join('.')) : obj;
+        if (parent && typeof parent === 'object') {
+            delete parent[last];
+        }
+    }
+
+    cloneDocument(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    isEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return false;
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        if (keysA.length !== keysB.length) return false;
+        return keysA.every(key => this.isEqual(a[key], b[key]));
+    }
+
     sortDocuments(documents, sortOptions) {
-        return documents.sort((a, b) => {
-            for (const [field, direction] of Object.entries(sortOptions)) {
-                const valueA = this.getNestedValue(a, field);
-                const valueB = this.getNestedValue(b, field);
+        const fields = Object.entries(sortOptions);
+        return documents.sort((a, b) => this.compareSortValues(this.sortValues(a, fields), this.sortValues(b, fields), fields));
+    }
 
-                let comparison = 0;
-                if (valueA < valueB) comparison = -1;
-                if (valueA > valueB) comparison = 1;
+    sortValues(document, fields) {
+        return fields.map(([field]) => this.getNestedValue(document, field));
+    }
 
-                if (comparison !== 0) {
-                    return direction === -1 ? -comparison : comparison;
-                }
+    compareSortValues(valuesA, valuesB, fields) {
+        for (let i = 0; i < fields.length; i++) {
+            const comparison = this.compareValues(valuesA[i], valuesB[i]);
+            if (comparison !== 0) {
+                return fields[i][1] === -1 ? -comparison : comparison;
             }
-            return 0;
-        });
+        }
+        return 0;
+    }
+
+    // Valores ausentes (undefined/null) vêm antes de qualquer outro valor
+    compareValues(a, b) {
+        const missingA = a === undefined || a === null;
+        const missingB = b === undefined || b === null;
+        if (missingA || missingB) {
+            return missingA === missingB ? 0 : (missingA ? -1 : 1);
+        }
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    // Ordenação com `id` como desempate (posição única para a paginação por cursor)
+    stableSort(sort = {}) {
+        return sort.id !== undefined ? { ...sort } : { ...sort, id: 1 };
+    }
+
+    encodeCursor(document, sort) {
+        const fields = Object.entries(sort);
+        const cursor = { s: fields, v: this.sortValues(document, fields) };
+        return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+    }
+
+    // Valores de ordenação guardados no cursor; o cursor só vale para a mesma ordenação
+    decodeCursor(cursor, sort) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            decoded = null;
+        }
+
+        const fields = Object.entries(sort);
+        if (!decoded || !Array.isArray(decoded.v) || JSON.stringify(decoded.s) !== JSON.stringify(fields)) {
+            const error = new Error('Cursor de paginação inválido ou de outra ordenação');
+            error.code = 'INVALID_CURSOR';
+            error.status = 400;
+            throw error;
+        }
+        return decoded.v;
     }
 
     searchInObject(obj, searchTerm) {
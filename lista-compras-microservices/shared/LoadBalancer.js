@@ -0,0 +1,96 @@
+// shared/LoadBalancer.js
+// Escolhe uma entre as instâncias saudáveis de um serviço. Estratégias embutidas:
+//   round-robin        revezamento (padrão)
+//   random             sorteio
+//   least-outstanding  a instância com menos requisições em andamento (deste processo)
+// Outras podem ser registradas com LoadBalancer.registerStrategy(nome, fn), onde
+// fn(instances, context) devolve uma das instâncias; context traz serviceName,
+// outstanding(instance) e state (objeto livre, um por serviço, que persiste entre as escolhas).
+
+const strategies = {
+    'round-robin': (instances, { state }) => {
+        state.next = ((state.next || 0) + 1) % instances.length;
+        return instances[state.next];
+    },
+
+    random: (instances) => instances[Math.floor(Math.random() * instances.length)],
+
+    // Empates são desfeitos em revezamento, para não concentrar tudo na primeira instância
+    'least-outstanding': (instances, context) => {
+        const fewest = Math.min(...instances.map(instance => context.outstanding(instance)));
+        const candidates = instances.filter(instance => context.outstanding(instance) === fewest);
+        return strategies['round-robin'](candidates, context);
+    }
+};
+
+class LoadBalancer {
+    constructor({ strategy = 'round-robin' } = {}) {
+        this.strategy = LoadBalancer.resolveStrategy(strategy);
+        this.states = new Map();
+        this.inFlight = new Map();
+    }
+
+    static registerStrategy(name, pick) {
+        if (typeof pick !== 'function') {
+            throw new Error(`Estratégia de balanceamento inválida: ${name}`);
+        }
+        strategies[name] = pick;
+    }
+
+    static strategies() {
+        return Object.keys(strategies);
+    }
+
+    static resolveStrategy(name) {
+        if (!strategies[name]) {
+            const error = new Error(`Estratégia de balanceamento desconhecida: ${name} (disponíveis: ${Object.keys(strategies).join(', ')})`);
+            error.code = 'UNKNOWN_STRATEGY';
+            throw error;
+        }
+        return name;
+    }
+
+    // Escolhe uma das instâncias (já filtradas como saudáveis) de serviceName
+    pick(serviceName, instances, strategy = this.strategy) {
+        if (instances.length === 0) {
+            return null;
+        }
+        if (instances.length === 1) {
+            return instances[0];
+        }
+
+        const name = LoadBalancer.resolveStrategy(strategy);
+        if (!this.states.has(serviceName)) {
+            this.states.set(serviceName, {});
+        }
+        // A ordem do registry pode variar entre leituras; o revezamento usa uma ordem estável
+        const ordered = [...instances].sort((a, b) => a.instanceId.localeCompare(b.instanceId));
+        const chosen = strategies[name](ordered, {
+            serviceName,
+            state: this.states.get(serviceName),
+            outstanding: instance => this.outstanding(instance)
+        });
+        return chosen || ordered[0];
+    }
+
+    // Marca uma requisição em andamento na instância; devolve a função que a encerra
+    acquire(instance) {
+        const id = instance.instanceId;
+        this.inFlight.set(id, (this.inFlight.get(id) || 0) + 1);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const remaining = (this.inFlight.get(id) || 1) - 1;
+            if (remaining > 0) this.inFlight.set(id, remaining);
+            else this.inFlight.delete(id);
+        };
+    }
+
+    outstanding(instance) {
+        return this.inFlight.get(instance.instanceId) || 0;
+    }
+}
+
+module.exports = LoadBalancer;
@@ -0,0 +1,332 @@
+// shared/MigrationRunner.js
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+const FileLock = require('./FileLock');
+
+// Coleção, no próprio banco do serviço, com as migrações já aplicadas
+const MIGRATIONS_COLLECTION = '_migrations';
+
+// Arquivos de migração: <número>-<descrição>.js, aplicados em ordem numérica
+const MIGRATION_FILE = /^(\d+)[-_][\w-]+\.js$/;
+
+// Migrações versionadas dos dados de um serviço. Cada arquivo em `migrationsDir` exporta:
+//   description   texto livre
+//   up(context)   aplica a migração; o valor devolvido fica guardado no registro
+//   down(context) opcional: desfaz a migração (recebe em context.result o valor do up)
+// O context tem collection(nome) (um JsonDatabase sem schema, que enxerga também documentos
+// apagados), dbPath, dryRun e log. As migrações não são transacionais: escreva-as de
+// forma idempotente, pois uma falha no meio deixa aplicadas as alterações já feitas.
+// Uma migração que muda o que a API devolve deve subir o _version (update normal): os clientes
+// com o ETag antigo recebem 412 e recarregam. update(id, updates, { preserveVersion: true })
+// fica para reescritas que os clientes não enxergam.
+class MigrationRunner {
+    constructor({ dbPath, migrationsDir, storage, logPrefix = '[Migrations]' }) {
+        this.dbPath = dbPath;
+        this.migrationsDir = migrationsDir;
+        this.storage = storage;
+        this.logPrefix = logPrefix;
+    }
+
+    log(message) {
+        console.log(`${this.logPrefix} ${message}`);
+    }
+
+    // Migrações disponíveis em disco, em ordem
+    async list() {
+        if (!await fs.pathExists(this.migrationsDir)) {
+            return [];
+        }
+
+        const files = (await fs.readdir(this.migrationsDir))
+            .filter(file => MIGRATION_FILE.test(file))
+            .sort((a, b) => Number(MIGRATION_FILE.exec(a)[1]) - Number(MIGRATION_FILE.exec(b)[1]));
+
+        return files.map(file => {
+            const migration = require(path.join(this.migrationsDir, file));
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migração ${file} não exporta a função up`);
+            }
+            return { id: path.basename(file, '.js'), number: Number(MIGRATION_FILE.exec(file)[1]), ...migration };
+        });
+    }
+
+    // [{ id, description, applied, appliedAt, reversible }]
+    async status() {
+        return this.withDatabase(async (records) => {
+            const applied = await this.appliedMigrations(records);
+            return (await this.list()).map(migration => ({
+                id: migration.id,
+                description: migration.description || '',
+                applied: applied.has(migration.id),
+                appliedAt: applied.get(migration.id)?.appliedAt || null,
+                reversible: typeof migration.down === 'function'
+            }));
+        });
+    }
+
+    // Aplica as migrações pendentes (até options.to, inclusive)
+    async up(options = {}) {
+        if (options.dryRun) {
+            return this.dryRun('up', options);
+        }
+
+        return this.withLock(async (records) => {
+            const migrations = await this.list();
+            const applied = await this.appliedMigrations(records);
+            const last = options.to ? this.findMigration(migrations, options.to) : migrations.length - 1;
+
+            const pending = migrations.slice(0, last + 1).filter(migration => !applied.has(migration.id));
+            const done = [];
+
+            for (const migration of pending) {
+                const startedAt = Date.now();
+                this.log(`Aplicando ${migration.id}...`);
+                const result = await this.runStep(migration, 'up', {});
+
+                await records.create({
+                    id: migration.id,
+                    description: migration.description || '',
+                    appliedAt: new Date().toISOString(),
+                    durationMs: Date.now() - startedAt,
+                    result: result === undefined ? null : result
+                });
+                done.push(migration.id);
+            }
+
+            if (done.length > 0) {
+                this.log(`${done.length} migração(ões) aplicada(s)`);
+            }
+            return { applied: done };
+        });
+    }
+
+    // Desfaz as últimas migrações aplicadas: options.steps (padrão 1) ou todas depois de options.to
+    async down(options = {}) {
+        if (options.dryRun) {
+            return this.dryRun('down', options);
+        }
+
+        return this.withLock(async (records) => {
+            const migrations = await this.list();
+            const applied = await this.appliedMigrations(records);
+            const appliedMigrations = migrations.filter(migration => applied.has(migration.id)).reverse();
+
+            let targets;
+            if (options.to) {
+                const keep = this.findMigration(migrations, options.to);
+                targets = appliedMigrations.filter(migration => migrations.indexOf(migration) > keep);
+            } else {
+                targets = appliedMigrations.slice(0, options.steps || 1);
+            }
+
+            const irreversible = targets.find(migration => typeof migration.down !== 'function');
+            if (irreversible) {
+                const error = new Error(`A migração ${irreversible.id} não pode ser desfeita (não exporta down)`);
+                error.code = 'IRREVERSIBLE_MIGRATION';
+                throw error;
+            }
+
+            const reverted = [];
+            for (const migration of targets) {
+                this.log(`Desfazendo ${migration.id}...`);
+                await this.runStep(migration, 'down', { result: applied.get(migration.id).result });
+                await records.delete(migration.id);
+                reverted.push(migration.id);
+            }
+
+            if (reverted.length > 0) {
+                this.log(`${reverted.length} migração(ões) desfeita(s)`);
+            }
+            return { reverted };
+        });
+    }
+
+    // Cria o arquivo de uma nova migração com o próximo número da sequência
+    async create(name) {
+        const slug = String(name || '').toLowerCase().normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        if (!slug) {
+            throw new Error('Informe um nome para a migração');
+        }
+
+        const migrations = await this.list();
+        const next = migrations.length > 0 ? migrations[migrations.length - 1].number + 1 : 1;
+        const filePath = path.join(this.migrationsDir, `${String(next).padStart(3, '0')}-${slug}.js`);
+
+        await fs.ensureDir(this.migrationsDir);
+        await fs.writeFile(filePath, `module.exports = {
+    description: '${String(name).replace(/'/g, "\\'")}',
+
+    async up({ collection, log }) {
+    },
+
+    async down({ collection, log, result }) {
+    }
+};
+`, { flag: 'wx' });
+        return filePath;
+    }
+
+    // Executa up/down numa cópia do diretório do banco e relata o que mudaria em cada
+    // coleção; o banco real não é tocado
+    async dryRun(direction, options) {
+        if (this.storageType() === 'memory') {
+            throw new Error('Dry-run exige armazenamento em disco (DB_STORAGE json ou sqlite)');
+        }
+
+        const copyPath = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+        try {
+            if (await fs.pathExists(this.dbPath)) {
+                await fs.copy(this.dbPath, copyPath, {
+                    filter: source => !/\.(lock|tmp)$/.test(source)
+                });
+            }
+
+            const runner = new MigrationRunner({
+                dbPath: copyPath,
+                migrationsDir: this.migrationsDir,
+                storage: this.storage,
+                logPrefix: `${this.logPrefix} [dry-run]`
+            });
+            runner.snapshots = await runner.readSnapshots();
+
+            const outcome = await runner[direction]({ ...options, dryRun: false });
+            return { dryRun: true, ...outcome, changes: await runner.diffSnapshots() };
+        } finally {
+            await fs.remove(copyPath);
+        }
+    }
+
+    // ---- Auxiliares ----
+
+    storageType() {
+        return (this.storage || process.env.DB_STORAGE || 'json').toLowerCase();
+    }
+
+    findMigration(migrations, id) {
+        const index = migrations.findIndex(migration => migration.id === id || migration.id.startsWith(`${id}-`));
+        if (index === -1) {
+            const error = new Error(`Migração não encontrada: ${id}`);
+            error.code = 'MIGRATION_NOT_FOUND';
+            throw error;
+        }
+        return index;
+    }
+
+    async appliedMigrations(records) {
+        const documents = await records.find();
+        return new Map(documents.map(record => [record.id, record]));
+    }
+
+    openCollection(name) {
+        return new JsonDatabase(this.dbPath, name, { storage: this.storage, cache: false });
+    }
+
+    async runStep(migration, direction, extra) {
+        const opened = new Map();
+        const context = {
+            ...extra,
+            dbPath: this.dbPath,
+            dryRun: Boolean(this.snapshots),
+            log: message => this.log(`  ${migration.id}: ${message}`),
+            collection: (name) => {
+                if (!opened.has(name)) {
+                    opened.set(name, this.openCollection(name));
+                }
+                return opened.get(name);
+            }
+        };
+
+        try {
+            return await migration[direction](context);
+        } catch (error) {
+            error.message = `Falha em ${migration.id} (${direction}): ${error.message}`;
+            error.migration = migration.id;
+            throw error;
+        } finally {
+            opened.forEach(db => db.close());
+        }
+    }
+
+    // Conteúdo de todas as coleções, para comparar o antes e o depois no dry-run
+    async readSnapshots() {
+        const snapshots = new Map();
+        for (const name of await this.collectionNames()) {
+            snapshots.set(name, await this.readCollection(name));
+        }
+        return snapshots;
+    }
+
+    async diffSnapshots() {
+        const changes = {};
+        const names = new Set([...this.snapshots.keys(), ...await this.collectionNames()]);
+
+        for (const name of names) {
+            const before = new Map((this.snapshots.get(name) || []).map(doc => [doc.id, JSON.stringify(doc)]));
+            const after = new Map((await this.readCollection(name)).map(doc => [doc.id, JSON.stringify(doc)]));
+
+            const summary = { inserted: 0, updated: 0, deleted: 0 };
+            after.forEach((json, id) => {
+                if (!before.has(id)) summary.inserted++;
+                else if (before.get(id) !== json) summary.updated++;
+            });
+            before.forEach((_json, id) => {
+                if (!after.has(id)) summary.deleted++;
+            });
+
+            if (summary.inserted + summary.updated + summary.deleted > 0) {
+                changes[name] = summary;
+            }
+        }
+        return changes;
+    }
+
+    async collectionNames() {
+        return this.withDatabase(async (records) => {
+            await records.ready;
+            const names = await records.storage.listCollections();
+            return names.filter(name => name !== MIGRATIONS_COLLECTION);
+        });
+    }
+
+    async readCollection(name) {
+        const db = this.openCollection(name);
+        try {
+            return await db.find();
+        } finally {
+            db.close();
+        }
+    }
+
+    async withDatabase(operation) {
+        const records = this.openCollection(MIGRATIONS_COLLECTION);
+        try {
+            return await operation(records);
+        } finally {
+            records.close();
+        }
+    }
+
+    // Um só processo migra por vez (ex.: duas instâncias do serviço subindo juntas)
+    async withLock(operation) {
+        await fs.ensureDir(this.dbPath);
+        const lock = new FileLock(path.join(this.dbPath, 'migrations.lock'), {
+            staleMs: 10 * 60 * 1000,
+            timeoutMs: 10 * 60 * 1000,
+            retryMs: 200
+        });
+
+        await lock.acquire();
+        try {
+            return await this.withDatabase(operation);
+        } finally {
+            await lock.release();
+        }
+    }
+}
+
+module.exports = MigrationRunner;
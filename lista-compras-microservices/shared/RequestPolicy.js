@@ -0,0 +1,151 @@
+// shared/RequestPolicy.js
+// Política das chamadas do gateway aos serviços:
+//   timeoutMs      prazo total da chamada, somando todas as tentativas (vira X-Request-Deadline)
+//   maxAttempts    tentativas dos métodos idempotentes (GET, HEAD, OPTIONS, PUT, DELETE);
+//                  os demais têm uma só. Repetem só erros de conexão, timeouts e 502/503/504
+//   baseDelayMs    espera antes da 2ª tentativa; dobra a cada uma, até maxDelayMs, sorteada
+//   maxDelayMs     entre 0 e esse valor (full jitter) para as instâncias não receberem as
+//                  repetições todas juntas. Nenhuma espera passa do prazo
+//   hedgeAfterMs   GETs sem resposta depois desse tempo ganham uma cópia em outra instância;
+//                  vale a primeira resposta e a outra é cancelada. 0 desativa
+//
+// execute(method, send, options) chama send({ attempt, hedged, timeoutMs, signal }) a cada
+// tentativa; send escolhe a instância, faz a requisição e devolve a resposta (ou lança).
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const HEDGEABLE_METHODS = ['GET', 'HEAD'];
+const RETRYABLE_STATUS = [502, 503, 504];
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EHOSTUNREACH', 'EAI_AGAIN'];
+
+const DEFAULTS = {
+    timeoutMs: 10000,
+    maxAttempts: 3,
+    baseDelayMs: 100,
+    maxDelayMs: 2000,
+    hedgeAfterMs: 0
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class RequestPolicy {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+    }
+
+    // PROXY_TIMEOUT_MS, RETRY_MAX_ATTEMPTS, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS, HEDGE_AFTER_MS
+    static fromEnv(env = process.env) {
+        const variables = {
+            timeoutMs: 'PROXY_TIMEOUT_MS',
+            maxAttempts: 'RETRY_MAX_ATTEMPTS',
+            baseDelayMs: 'RETRY_BASE_DELAY_MS',
+            maxDelayMs: 'RETRY_MAX_DELAY_MS',
+            hedgeAfterMs: 'HEDGE_AFTER_MS'
+        };
+
+        const options = {};
+        Object.entries(variables).forEach(([option, variable]) => {
+            const value = Number(env[variable]);
+            if (env[variable] !== undefined && env[variable] !== '' && Number.isFinite(value) && value >= 0) {
+                options[option] = value;
+            }
+        });
+        return new RequestPolicy(options);
+    }
+
+    // A mesma política com algumas opções trocadas (ex.: o prazo de uma rota)
+    with(overrides = {}) {
+        return new RequestPolicy({ ...this.options, ...overrides });
+    }
+
+    // Prazo da chamada: timeoutMs a partir de agora, ou o prazo recebido, se vencer antes
+    deadlineFor(incomingDeadline) {
+        const deadline = Date.now() + this.options.timeoutMs;
+        return incomingDeadline ? Math.min(deadline, incomingDeadline) : deadline;
+    }
+
+    isRetryable(error) {
+        if (error.response) {
+            return RETRYABLE_STATUS.includes(error.response.status);
+        }
+        return RETRYABLE_CODES.includes(error.code);
+    }
+
+    backoffDelay(attempt) {
+        const ceiling = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempt - 1));
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    // options: deadline (padrão: deadlineFor()), hedge (há outra instância para a cópia) e
+    // onRetry(error, attempt, delayMs)
+    async execute(method, send, { deadline = this.deadlineFor(), hedge = false, onRetry } = {}) {
+        const verb = String(method).toUpperCase();
+        const maxAttempts = IDEMPOTENT_METHODS.includes(verb) ? Math.max(1, this.options.maxAttempts) : 1;
+        const hedged = hedge && this.options.hedgeAfterMs > 0 && HEDGEABLE_METHODS.includes(verb);
+
+        for (let attempt = 1; ; attempt++) {
+            const timeoutMs = deadline - Date.now();
+            if (timeoutMs <= 0) {
+                throw RequestPolicy.deadlineError();
+            }
+
+            try {
+                return hedged
+                    ? await this.hedged(send, attempt, deadline)
+                    : await send({ attempt, hedged: false, timeoutMs });
+            } catch (error) {
+                if (attempt >= maxAttempts || !this.isRetryable(error)) throw error;
+
+                const delay = this.backoffDelay(attempt);
+                if (Date.now() + delay >= deadline) throw error;
+                if (onRetry) onRetry(error, attempt, delay);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Uma tentativa com cópia: a segunda requisição sai hedgeAfterMs depois da primeira, se ela
+    // ainda não tiver terminado. Falha só quando todas as requisições lançadas falham.
+    hedged(send, attempt, deadline) {
+        return new Promise((resolve, reject) => {
+            const controllers = [];
+            let pending = 0;
+            let settled = false;
+            let timer = null;
+
+            const launch = (isCopy) => {
+                const controller = new AbortController();
+                controllers.push(controller);
+                pending++;
+
+                send({ attempt, hedged: isCopy, timeoutMs: Math.max(1, deadline - Date.now()), signal: controller.signal })
+                    .then((response) => {
+                        if (settled) return;
+                        settled = true;
+                        clearTimeout(timer);
+                        controllers.forEach(other => other !== controller && other.abort());
+                        resolve(response);
+                    }, (error) => {
+                        pending--;
+                        if (settled || pending > 0) return;
+                        settled = true;
+                        clearTimeout(timer);
+                        reject(error);
+                    });
+            };
+
+            launch(false);
+            timer = setTimeout(() => {
+                if (!settled && deadline - Date.now() > 0) launch(true);
+            }, this.options.hedgeAfterMs);
+        });
+    }
+
+    static deadlineError() {
+        const error = new Error('Prazo da requisição esgotado');
+        error.code = 'DEADLINE_EXCEEDED';
+        error.status = 504;
+        return error;
+    }
+}
+
+module.exports = RequestPolicy;
@@ -0,0 +1,237 @@
+// shared/ResponseCache.js
+const crypto = require('crypto');
+
+// Cache HTTP das respostas GET do gateway, em memória. Cada regra vale para um prefixo de rota
+// (vale o prefixo mais longo):
+//   { prefix, ttlMs, perUser, tags }
+//   ttlMs    validade máxima de uma resposta; o Cache-Control do serviço (s-maxage ou max-age)
+//            pode encurtar, nunca alongar
+//   perUser  a chave inclui o usuário (rotas cuja resposta depende de quem pede). Sem ele a
+//            entrada é a mesma para todos e um Cache-Control: private do serviço impede o cache
+//   tags     serviços de que a resposta depende: invalidate(serviço) descarta as entradas deles
+// Só respostas 200 entram; no-store, no-cache e max-age=0 (sem s-maxage) ficam de fora.
+// If-None-Match com o ETag guardado (o do serviço ou um gerado do corpo) → 304. Uma entrada
+// vencida com ETag vai em req.responseCache.stale para o proxy revalidar no serviço.
+
+const STORED_HEADERS = ['ETag', 'Cache-Control', 'Link', 'X-Total-Count'];
+
+// 'public, max-age=0, s-maxage=60' → { public: true, 'max-age': '0', 's-maxage': '60' }
+function parseCacheControl(header) {
+    const directives = {};
+    String(header || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [name, value] = part.split('=');
+        directives[name.toLowerCase()] = value === undefined ? true : value.replace(/"/g, '');
+    });
+    return directives;
+}
+
+// Comparação fraca (RFC 9110): W/"x" e "x" são o mesmo ETag
+function matchesETag(ifNoneMatch, etag) {
+    if (!ifNoneMatch || !etag) return false;
+    const normalize = value => value.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(candidate => candidate.trim() === '*' || normalize(candidate) === normalize(etag));
+}
+
+function weakETag(body) {
+    return `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+}
+
+class ResponseCache {
+    constructor({ rules = [], maxEntries = 1000 } = {}) {
+        // Prefixos mais longos primeiro; ttlMs 0 desliga a regra
+        this.rules = rules.map(rule => ResponseCache.validateRule(rule))
+            .filter(rule => rule.ttlMs > 0)
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+        this.maxEntries = maxEntries;
+        // Em ordem de uso: a primeira chave é a usada há mais tempo (sai primeiro)
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, revalidated: 0, invalidated: 0 };
+        // Invalidações por tag: uma resposta buscada antes de uma escrita não entra depois dela
+        this.generations = new Map();
+        this.generation = 0;
+    }
+
+    static validateRule(rule) {
+        if (typeof rule.prefix !== 'string' || !rule.prefix.startsWith('/')) {
+            throw new Error(`Regra de cache sem prefixo válido: ${JSON.stringify(rule)}`);
+        }
+        if (!(Number(rule.ttlMs) >= 0)) {
+            throw new Error(`Regra de cache de ${rule.prefix}: ttlMs deve ser zero ou positivo`);
+        }
+        return { prefix: rule.prefix, ttlMs: Number(rule.ttlMs), perUser: Boolean(rule.perUser), tags: [].concat(rule.tags || []) };
+    }
+
+    // RESPONSE_CACHE_MAX_ENTRIES e RESPONSE_CACHE_TTLS (JSON prefixo → ttlMs, só para as regras
+    // de quem chama; 0 desliga a regra), ex.: {"/api/search":5000,"/api/items":0}
+    static fromEnv({ rules = [], env = process.env } = {}) {
+        let ttls = {};
+        if (env.RESPONSE_CACHE_TTLS) {
+            try {
+                ttls = JSON.parse(env.RESPONSE_CACHE_TTLS);
+            } catch (error) {
+                throw new Error(`RESPONSE_CACHE_TTLS inválido: ${error.message}`);
+            }
+        }
+
+        const byPrefix = new Map(rules.map(rule => [rule.prefix, rule]));
+        Object.entries(ttls).forEach(([prefix, ttlMs]) => {
+            if (!byPrefix.has(prefix)) {
+                throw new Error(`RESPONSE_CACHE_TTLS: ${prefix} não tem regra de cache (disponíveis: ${[...byPrefix.keys()].join(', ')})`);
+            }
+            byPrefix.set(prefix, { ...byPrefix.get(prefix), ttlMs });
+        });
+
+        const maxEntries = Number(env.RESPONSE_CACHE_MAX_ENTRIES);
+        return new ResponseCache({
+            rules: [...byPrefix.values()],
+            maxEntries: Number.isInteger(maxEntries) && maxEntries > 0 ? maxEntries : undefined
+        });
+    }
+
+    ruleFor(path) {
+        return this.rules.find(rule => path === rule.prefix || path.startsWith(`${rule.prefix}/`)) || null;
+    }
+
+    // Regra, usuário (perUser) e URL com a query
+    keyFor(req, rule) {
+        const user = rule.perUser ? (req.user?.id || 'anon') : '*';
+        return `${rule.prefix}|${user}|${req.originalUrl}`;
+    }
+
+    // Quanto tempo guardar uma resposta com esse Cache-Control (0: não guardar)
+    ttlFor(rule, cacheControl) {
+        const directives = parseCacheControl(cacheControl);
+        if (directives['no-store'] || directives['no-cache']) return 0;
+        if (directives.private && !rule.perUser) return 0;
+
+        const maxAge = directives['s-maxage'] ?? directives['max-age'];
+        if (maxAge === undefined) return rule.ttlMs;
+        const seconds = Number(maxAge);
+        return Number.isFinite(seconds) && seconds > 0 ? Math.min(rule.ttlMs, seconds * 1000) : 0;
+    }
+
+    store(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    generationOf(tags) {
+        return tags.reduce((sum, tag) => sum + (this.generations.get(tag) || 0), this.generation);
+    }
+
+    // Descarta as entradas que dependem do serviço; devolve quantas saíram
+    invalidate(tag) {
+        this.generations.set(tag, (this.generations.get(tag) || 0) + 1);
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.tags.includes(tag)) {
+                this.entries.delete(key);
+                removed += 1;
+            }
+        }
+        this.stats.invalidated += removed;
+        return removed;
+    }
+
+    clear() {
+        const removed = this.entries.size;
+        this.generation += 1;
+        this.entries.clear();
+        this.stats.invalidated += removed;
+        return removed;
+    }
+
+    snapshot() {
+        return {
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            ...this.stats,
+            rules: this.rules,
+        };
+    }
+
+    // Responde com a entrada: 304 se o cliente já tem esse ETag
+    send(req, res, entry, status) {
+        res.set(entry.headers);
+        res.set('X-Cache', status);
+        res.set('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)));
+        if (matchesETag(req.get('If-None-Match'), entry.etag)) {
+            return res.status(304).end();
+        }
+        return res.status(200).json(entry.body);
+    }
+
+    // O serviço respondeu 304 à revalidação da entrada vencida: ela volta a valer pelo
+    // Cache-Control novo e segue para o cliente
+    revalidated(req, res, cacheControl) {
+        const { key, rule, stale, generation } = req.responseCache;
+        const origin = cacheControl ?? stale.cacheControl;
+        const ttlMs = this.ttlFor(rule, origin);
+        const now = Date.now();
+        const headers = cacheControl ? { ...stale.headers, 'Cache-Control': cacheControl } : stale.headers;
+        const entry = { ...stale, headers, cacheControl: origin, storedAt: now, expiresAt: now + ttlMs };
+
+        if (ttlMs > 0 && this.generationOf(rule.tags) === generation) this.store(key, entry);
+        else this.entries.delete(key);
+        this.stats.revalidated += 1;
+        // Sem o res.json do middleware: a entrada já foi guardada
+        delete res.json;
+        return this.send(req, res, entry, 'REVALIDATED');
+    }
+
+    // Middleware do Express: responde GETs com entradas válidas (X-Cache: HIT) e guarda as
+    // respostas 200 das demais (X-Cache: MISS). Cache-Control: no-cache do cliente pula a
+    // entrada guardada; no-store não usa o cache
+    middleware() {
+        return (req, res, next) => {
+            if (req.method !== 'GET' || (req.get('Accept') || '').includes('text/event-stream')) return next();
+            const rule = this.ruleFor(req.path);
+            if (!rule) return next();
+
+            const requestDirectives = parseCacheControl(req.get('Cache-Control'));
+            if (requestDirectives['no-store']) return next();
+            // Token recusado: a rota responde 401
+            if (rule.perUser && req.authError) return next();
+
+            const key = this.keyFor(req, rule);
+            const entry = this.entries.get(key);
+            if (entry && entry.expiresAt > Date.now() && !requestDirectives['no-cache']) {
+                this.store(key, entry);
+                this.stats.hits += 1;
+                return this.send(req, res, entry, 'HIT');
+            }
+
+            this.stats.misses += 1;
+            const generation = this.generationOf(rule.tags);
+            req.responseCache = { key, rule, generation, stale: entry && entry.etag ? entry : null };
+
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                const cacheControl = res.get('Cache-Control');
+                const current = res.statusCode === 200 && this.generationOf(rule.tags) === generation;
+                const ttlMs = current ? this.ttlFor(rule, cacheControl) : 0;
+                // Resposta de um usuário não pode ir para caches compartilhados no caminho
+                if (rule.perUser && !cacheControl) res.set('Cache-Control', 'private, no-cache');
+                if (ttlMs > 0) {
+                    if (!res.get('ETag')) res.set('ETag', weakETag(body));
+                    const headers = {};
+                    STORED_HEADERS.forEach(header => {
+                        if (res.get(header)) headers[header] = res.get(header);
+                    });
+                    const now = Date.now();
+                    this.store(key, {
+                        body, headers, etag: headers.ETag, cacheControl, tags: rule.tags, storedAt: now, expiresAt: now + ttlMs,
+                    });
+                }
+                res.set('X-Cache', 'MISS');
+                return json(body);
+            };
+            next();
+        };
+    }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,160 @@
+// shared/SchemaValidator.js
+// Validação de documentos com um subconjunto de JSON Schema:
+// type (inclusive lista de tipos), enum, const, required, properties, additionalProperties,
+// items, minItems, maxItems, minLength, maxLength, pattern, format (email, date-time),
+// minimum, maximum, exclusiveMinimum, exclusiveMaximum e default.
+const FORMATS = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value)
+};
+
+class SchemaValidator {
+    constructor(schema) {
+        if (!schema || typeof schema !== 'object') {
+            throw new Error('Schema deve ser um objeto');
+        }
+        this.schema = schema;
+    }
+
+    // Preenche campos ausentes que têm "default" no schema (também em objetos aninhados
+    // e em cada elemento de arrays). Altera e devolve o próprio documento.
+    applyDefaults(document, schema = this.schema) {
+        if (!isPlainObject(document)) return document;
+
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+            if (document[field] === undefined && fieldSchema.default !== undefined) {
+                document[field] = JSON.parse(JSON.stringify(fieldSchema.default));
+            }
+
+            const value = document[field];
+            if (isPlainObject(value) && fieldSchema.properties) {
+                this.applyDefaults(value, fieldSchema);
+            } else if (Array.isArray(value) && fieldSchema.items && fieldSchema.items.properties) {
+                value.forEach(element => this.applyDefaults(element, fieldSchema.items));
+            }
+        }
+        return document;
+    }
+
+    // Lista de erros { field, keyword, message }; vazia quando o documento é válido
+    validate(document) {
+        const errors = [];
+        this.check(document, this.schema, '', errors);
+        return errors;
+    }
+
+    assertValid(document, collectionName) {
+        const errors = this.validate(document);
+        if (errors.length > 0) {
+            const error = new Error(`Documento inválido para a coleção ${collectionName}: ${errors[0].message}`);
+            error.code = 'VALIDATION_ERROR';
+            error.status = 400;
+            error.errors = errors;
+            throw error;
+        }
+    }
+
+    check(value, schema, field, errors) {
+        const report = (keyword, message) => errors.push({ field: field || '(documento)', keyword, message });
+        const label = field || 'documento';
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(value, type))) {
+                report('type', `${label} deve ser do tipo ${types.join(' ou ')}`);
+                return; // As demais regras pressupõem o tipo correto
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            report('enum', `${label} deve ser um dos valores: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            report('const', `${label} deve ser ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                report('minLength', `${label} deve ter pelo menos ${schema.minLength} caractere(s)`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                report('maxLength', `${label} deve ter no máximo ${schema.maxLength} caractere(s)`);
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+                report('pattern', `${label} não corresponde ao padrão ${schema.pattern}`);
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+                report('format', `${label} deve estar no formato ${schema.format}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                report('minimum', `${label} deve ser maior ou igual a ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                report('maximum', `${label} deve ser menor ou igual a ${schema.maximum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                report('exclusiveMinimum', `${label} deve ser maior que ${schema.exclusiveMinimum}`);
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                report('exclusiveMaximum', `${label} deve ser menor que ${schema.exclusiveMaximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                report('minItems', `${label} deve ter pelo menos ${schema.minItems} elemento(s)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                report('maxItems', `${label} deve ter no máximo ${schema.maxItems} elemento(s)`);
+            }
+            if (schema.items) {
+                value.forEach((element, index) => this.check(element, schema.items, `${field}[${index}]`, errors));
+            }
+        }
+
+        if (isPlainObject(value)) {
+            const properties = schema.properties || {};
+            const join = key => (field ? `${field}.${key}` : key);
+
+            for (const required of schema.required || []) {
+                if (value[required] === undefined) {
+                    errors.push({ field: join(required), keyword: 'required', message: `${join(required)} é obrigatório` });
+                }
+            }
+
+            for (const [key, propertyValue] of Object.entries(value)) {
+                if (propertyValue === undefined) continue;
+
+                if (properties[key]) {
+                    this.check(propertyValue, properties[key], join(key), errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ field: join(key), keyword: 'additionalProperties', message: `${join(key)} não é permitido` });
+                } else if (isPlainObject(schema.additionalProperties)) {
+                    this.check(propertyValue, schema.additionalProperties, join(key), errors);
+                }
+            }
+        }
+    }
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainObject(value);
+        case 'null': return value === null;
+        default: throw new Error(`Tipo de schema não suportado: ${type}`);
+    }
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = SchemaValidator;
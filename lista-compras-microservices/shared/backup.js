@@ -0,0 +1,106 @@
+// shared/backup.js
+// CLI de backups. Executado a partir da pasta de um serviço (npm run backup -- <comando>)
+// usa ./database e grava em ./backups; com --all (ou na raiz: npm run backup -- <comando>)
+// cobre todos os serviços em services/* e grava em ./backups da raiz.
+//
+//   create [--label <texto>]             cria um backup de todas as coleções
+//   list                                 backups disponíveis
+//   verify <arquivo>                     confere formato e checksums
+//   restore <arquivo> [--service <nome>] verifica e restaura (todos os serviços do backup
+//                                        ou só o indicado)
+// BACKUP_DIR muda o diretório dos backups.
+const fs = require('fs-extra');
+const path = require('path');
+const BackupManager = require('./BackupManager');
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--all') {
+            args.all = true;
+        } else if (arg === '--label' || arg === '--service') {
+            args[arg.slice(2)] = argv[++i];
+        } else {
+            args._.push(arg);
+        }
+    }
+    return args;
+}
+
+async function resolveServices(all) {
+    if (!all) {
+        const serviceDir = process.cwd();
+        return { services: [{ name: path.basename(serviceDir), dbPath: path.join(serviceDir, 'database') }], baseDir: serviceDir };
+    }
+
+    const rootDir = path.join(__dirname, '..');
+    const servicesDir = path.join(rootDir, 'services');
+    const services = [];
+    for (const name of (await fs.readdir(servicesDir)).sort()) {
+        if (await fs.pathExists(path.join(servicesDir, name, 'server.js'))) {
+            services.push({ name, dbPath: path.join(servicesDir, name, 'database') });
+        }
+    }
+    return { services, baseDir: rootDir };
+}
+
+(async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const [command = 'list', file] = args._;
+
+    try {
+        const { services, baseDir } = await resolveServices(args.all);
+        const backups = new BackupManager({
+            services,
+            backupDir: process.env.BACKUP_DIR || path.join(baseDir, 'backups')
+        });
+
+        switch (command) {
+            case 'create': {
+                const backup = await backups.create({ label: args.label });
+                console.log(`Backup criado: ${path.join(backups.backupDir, backup.name)}`);
+                console.log(JSON.stringify(backup.services, null, 2));
+                break;
+            }
+            case 'list': {
+                const available = await backups.list();
+                if (available.length === 0) {
+                    console.log(`Nenhum backup em ${backups.backupDir}`);
+                }
+                available.forEach(b => {
+                    const detail = b.error ? `ERRO: ${b.error}` : `${b.createdAt} ${Object.keys(b.services).join(', ')}${b.label ? ` (${b.label})` : ''}`;
+                    console.log(`${b.name}  ${(b.size / 1024).toFixed(1)} KB  ${detail}`);
+                });
+                break;
+            }
+            case 'verify': {
+                if (!file) throw new Error('Informe o arquivo do backup');
+                const result = await backups.verify(file);
+                console.log(result.valid ? `Backup íntegro: ${result.name}` : `Backup inválido: ${result.name}`);
+                result.errors.forEach(error => console.log(`  - ${error}`));
+                process.exit(result.valid ? 0 : 2);
+                break;
+            }
+            case 'restore': {
+                if (!file) throw new Error('Informe o arquivo do backup');
+                const result = await backups.restore(file, { services: args.service ? [args.service] : undefined });
+                console.log(`Backup restaurado: ${result.name} (${Object.keys(result.restored).join(', ')})`);
+                console.log(JSON.stringify(result.restored, null, 2));
+                break;
+            }
+            default:
+                console.error(`Comando desconhecido: ${command} (use create, list, verify ou restore)`);
+                process.exit(1);
+        }
+        process.exit(0);
+    } catch (err) {
+        console.error('[Backup] Erro:', err.message);
+        (err.errors || []).forEach(error => console.error(`  - ${error}`));
+        if (err.code === 'RESTORE_INCOMPLETE') {
+            console.error('Já restaurado (repita o restore para completar):');
+            console.error(JSON.stringify(err.restored, null, 2));
+        }
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,77 @@
+// shared/backupRoutes.js
+const BackupManager = require('./BackupManager');
+
+// Rotas administrativas de backup de um serviço (todas exigem token de um usuário admin):
+//   GET  /admin/backups                 backups disponíveis
+//   POST /admin/backups                 cria um backup de todas as coleções ({ label } opcional)
+//   POST /admin/backups/:name/verify    confere formato e checksums
+//   POST /admin/backups/:name/restore   restaura (após verificar)
+function registerBackupRoutes(app, { backups, authMiddleware, logPrefix }) {
+    const adminOnly = (req, res, next) => {
+        if (req.user?.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Acesso restrito a administradores' });
+        }
+        next();
+    };
+
+    const validName = (req, res, next) => {
+        if (!BackupManager.isBackupName(req.params.name)) {
+            return res.status(400).json({ success: false, message: 'Nome de backup inválido' });
+        }
+        next();
+    };
+
+    const sendError = (res, err, route) => {
+        if (err.code === 'BACKUP_CORRUPTED') {
+            return res.status(422).json({ success: false, message: err.message, errors: err.errors });
+        }
+        if (err.status === 400 || err.status === 404) {
+            return res.status(err.status).json({ success: false, message: err.message });
+        }
+        // Restauração parcial: quem chama precisa saber o que já foi trocado
+        if (err.code === 'RESTORE_INCOMPLETE') {
+            console.error(`${logPrefix} ${route} error:`, err.cause);
+            return res.status(500).json({ success: false, message: err.message, restored: err.restored, failed: err.failed });
+        }
+        console.error(`${logPrefix} ${route} error:`, err);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    };
+
+    app.get('/admin/backups', authMiddleware, adminOnly, async (_req, res) => {
+        try {
+            res.json({ success: true, data: await backups.list() });
+        } catch (err) {
+            sendError(res, err, 'GET /admin/backups');
+        }
+    });
+
+    app.post('/admin/backups', authMiddleware, adminOnly, async (req, res) => {
+        try {
+            const backup = await backups.create({ label: req.body?.label });
+            res.status(201).json({ success: true, message: 'Backup criado', data: backup });
+        } catch (err) {
+            sendError(res, err, 'POST /admin/backups');
+        }
+    });
+
+    app.post('/admin/backups/:name/verify', authMiddleware, adminOnly, validName, async (req, res) => {
+        try {
+            const result = await backups.verify(req.params.name);
+            res.status(result.valid ? 200 : 422).json({ success: result.valid, data: result });
+        } catch (err) {
+            sendError(res, err, 'POST /admin/backups/:name/verify');
+        }
+    });
+
+    app.post('/admin/backups/:name/restore', authMiddleware, adminOnly, validName, async (req, res) => {
+        try {
+            const result = await backups.restore(req.params.name);
+            console.log(`${logPrefix} Backup ${result.name} restaurado`);
+            res.json({ success: true, message: 'Backup restaurado', data: result });
+        } catch (err) {
+            sendError(res, err, 'POST /admin/backups/:name/restore');
+        }
+    });
+}
+
+module.exports = registerBackupRoutes;
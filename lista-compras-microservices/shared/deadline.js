@@ -0,0 +1,35 @@
+// shared/deadline.js
+// Prazo de uma requisição entre os serviços: o gateway envia X-Request-Deadline (instante
+// limite, em ms desde a época) e cada serviço o repassa nas chamadas que faz, com o timeout
+// limitado ao tempo que ainda resta. Requisições que chegam com o prazo vencido recebem 504.
+// Por ser um instante absoluto, supõe os relógios das máquinas sincronizados (NTP).
+
+const DEADLINE_HEADER = 'X-Request-Deadline';
+
+function parseDeadline(value) {
+    const deadline = Number(value);
+    return Number.isFinite(deadline) && deadline > 0 ? deadline : null;
+}
+
+// Tempo restante até o prazo, limitado a fallbackMs (que vale sozinho sem prazo). Nunca 0:
+// no axios, timeout 0 significa "sem timeout"
+function remainingMs(deadline, fallbackMs) {
+    if (!deadline) return fallbackMs;
+    const remaining = Math.max(1, deadline - Date.now());
+    return fallbackMs ? Math.min(remaining, fallbackMs) : remaining;
+}
+
+function deadlineHeaders(deadline) {
+    return deadline ? { [DEADLINE_HEADER]: String(deadline) } : {};
+}
+
+// Middleware: req.deadline (ou null) e 504 para o que já chegou atrasado
+function deadlineMiddleware(req, res, next) {
+    req.deadline = parseDeadline(req.get(DEADLINE_HEADER));
+    if (req.deadline && req.deadline <= Date.now()) {
+        return res.status(504).json({ success: false, message: 'Prazo da requisição esgotado' });
+    }
+    next();
+}
+
+module.exports = { DEADLINE_HEADER, parseDeadline, remainingMs, deadlineHeaders, deadlineMiddleware };
@@ -0,0 +1,25 @@
+// shared/documentVersion.js
+// Conversão entre o _version dos documentos do JsonDatabase e os headers HTTP ETag / If-Match.
+
+// ETag forte com a versão do documento: "3"
+function formatETag(document) {
+    return `"${document._version || 0}"`;
+}
+
+// Versão esperada a partir do If-Match. Sem header ou com "*" não há versão a conferir
+// (undefined). Aceita "3", W/"3" e 3; lança erro com status 400 se o valor for inválido.
+function parseIfMatch(header) {
+    if (header === undefined || header === null || header.trim() === '' || header.trim() === '*') {
+        return undefined;
+    }
+
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+    if (!match) {
+        const error = new Error('Header If-Match inválido: use o ETag recebido (ex.: "3")');
+        error.status = 400;
+        throw error;
+    }
+    return Number(match[1]);
+}
+
+module.exports = { formatETag, parseIfMatch };
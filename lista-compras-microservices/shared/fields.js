@@ -0,0 +1,61 @@
+// shared/fields.js
+// Sparse fieldsets nas rotas HTTP, sobre a projeção do JsonDatabase:
+//   ?fields=name,summary,items.itemName   só esses campos (o id vem sempre)
+//   ?fields=-items,-description           tudo menos esses campos
+// Caminhos aninhados usam ponto e atravessam arrays. Sem `fields`, o documento vem inteiro.
+
+const FIELD_PATH = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+const RESERVED = new Set(['__proto__', 'constructor', 'prototype']);
+const MAX_FIELDS = 50;
+
+function invalidFields(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_FIELDS';
+    error.status = 400;
+    return error;
+}
+
+// Converte o parâmetro `fields` numa projeção ({ campo: 1 } ou { campo: 0 }), ou
+// undefined quando ausente. `hidden` são campos que nunca saem (ex.: password).
+function parseFields(value, { hidden = [] } = {}) {
+    const raw = Array.isArray(value) ? value.join(',') : value;
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+        return hiddenProjection(hidden);
+    }
+
+    const paths = String(raw).split(',').map(path => path.trim()).filter(Boolean);
+    if (paths.length > MAX_FIELDS) {
+        throw invalidFields(`No máximo ${MAX_FIELDS} campos em fields`);
+    }
+
+    const excluded = paths.filter(path => path.startsWith('-'));
+    if (excluded.length > 0 && excluded.length !== paths.length) {
+        throw invalidFields('fields não pode misturar campos incluídos e excluídos (-campo)');
+    }
+
+    const projection = {};
+    for (const entry of paths) {
+        const path = entry.replace(/^-/, '');
+        if (!FIELD_PATH.test(path) || path.split('.').some(key => RESERVED.has(key))) {
+            throw invalidFields(`Campo inválido em fields: ${entry}`);
+        }
+        if (hidden.some(field => path === field || path.startsWith(`${field}.`))) {
+            continue;
+        }
+        projection[path] = excluded.length > 0 ? 0 : 1;
+    }
+
+    if (excluded.length > 0) {
+        return { ...projection, ...hiddenProjection(hidden) };
+    }
+    return Object.keys(projection).length > 0 ? projection : { id: 1 };
+}
+
+function hiddenProjection(hidden) {
+    if (hidden.length === 0) {
+        return undefined;
+    }
+    return Object.fromEntries(hidden.map(field => [field, 0]));
+}
+
+module.exports = { parseFields };
@@ -0,0 +1,92 @@
+// shared/identity.js
+// Identidade interna: o gateway valida o JWT do cliente uma vez e repassa aos serviços quem é
+// o usuário no header X-User-Identity, assinado com INTERNAL_AUTH_SECRET:
+//   <payload em base64url>.<HMAC-SHA256 do payload em base64url>
+// payload: { id, email, username, role, exp }. O exp curto (IDENTITY_TTL_MS) limita o reuso de
+// um header capturado. Os serviços confiam só nesse header (identityMiddleware); o gateway
+// descarta qualquer X-User-Identity vindo do cliente.
+const crypto = require('crypto');
+
+const IDENTITY_HEADER = 'X-User-Identity';
+const IDENTITY_TTL_MS = 60000;
+const IDENTITY_FIELDS = ['id', 'email', 'username', 'role'];
+
+// Segredos sem valor padrão: um padrão fixo no código valeria em qualquer instalação que
+// esquecesse a variável. Os processos os leem ao subir, então a falta aparece na hora
+function secret(variable) {
+    if (process.env[variable]) return process.env[variable];
+    const error = new Error(`${variable} não definido: use o mesmo valor no gateway e em todos os serviços`);
+    error.code = 'MISSING_SECRET';
+    throw error;
+}
+
+// Assina os tokens (user-service) e os valida (gateway)
+function jwtSecret() {
+    return secret('JWT_SECRET');
+}
+
+function internalSecret() {
+    return secret('INTERNAL_AUTH_SECRET');
+}
+
+function hmac(payload, key) {
+    return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+function signIdentity(user, { ttlMs = IDENTITY_TTL_MS, key = internalSecret() } = {}) {
+    const identity = {};
+    IDENTITY_FIELDS.forEach(field => {
+        if (user[field] !== undefined) identity[field] = user[field];
+    });
+    identity.exp = Date.now() + ttlMs;
+
+    const payload = Buffer.from(JSON.stringify(identity)).toString('base64url');
+    return `${payload}.${hmac(payload, key)}`;
+}
+
+// Identidade do header, ou null se ausente, adulterado ou vencido
+function verifyIdentity(value, { key = internalSecret() } = {}) {
+    if (typeof value !== 'string') return null;
+    const [payload, signature, extra] = value.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(hmac(payload, key));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const identity = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!identity || typeof identity.id !== 'string' || !(identity.exp > Date.now())) return null;
+        return identity;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Middleware dos serviços: req.user com a identidade repassada pelo gateway
+function identityMiddleware(req, res, next) {
+    const value = req.get(IDENTITY_HEADER);
+    if (!value) {
+        return res.status(401).json({ success: false, message: 'Token obrigatório' });
+    }
+
+    const identity = verifyIdentity(value);
+    if (!identity) {
+        return res.status(401).json({ success: false, message: 'Identidade inválida' });
+    }
+
+    req.user = identity;
+    next();
+}
+
+module.exports = {
+    IDENTITY_HEADER,
+    IDENTITY_TTL_MS,
+    jwtSecret,
+    internalSecret,
+    signIdentity,
+    verifyIdentity,
+    identityMiddleware
+};
@@ -0,0 +1,76 @@
+// shared/migrate.js
+// CLI das migrações. Executado a partir da pasta de um serviço (npm run migrate -- <comando>),
+// usa ./database e ./migrations desse serviço.
+//
+//   status                       migrações aplicadas e pendentes
+//   up [--to <id>]               aplica as pendentes (até <id>, inclusive)
+//   down [--steps <n>|--to <id>] desfaz as últimas n (padrão 1) ou todas depois de <id>
+//   create <nome>                cria migrations/<número>-<nome>.js
+//   --dry-run                    em up/down: executa numa cópia do banco e mostra o que mudaria
+const path = require('path');
+const MigrationRunner = require('./MigrationRunner');
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--to' || arg === '--steps' || arg === '--dir') {
+            args[arg.slice(2)] = argv[++i];
+        } else {
+            args._.push(arg);
+        }
+    }
+    return args;
+}
+
+(async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const [command = 'status', ...rest] = args._;
+    const serviceDir = path.resolve(args.dir || process.cwd());
+
+    const runner = new MigrationRunner({
+        dbPath: path.join(serviceDir, 'database'),
+        migrationsDir: path.join(serviceDir, 'migrations')
+    });
+
+    try {
+        switch (command) {
+            case 'status': {
+                const migrations = await runner.status();
+                if (migrations.length === 0) {
+                    console.log('Nenhuma migração encontrada');
+                }
+                migrations.forEach(m => {
+                    const state = m.applied ? `aplicada em ${m.appliedAt}` : 'pendente';
+                    console.log(`${m.applied ? '✔' : '•'} ${m.id} - ${state}${m.reversible ? '' : ' (sem down)'}`);
+                });
+                break;
+            }
+            case 'up': {
+                const result = await runner.up({ to: args.to, dryRun: args.dryRun });
+                console.log(JSON.stringify(result, null, 2));
+                break;
+            }
+            case 'down': {
+                const steps = args.steps !== undefined ? parseInt(args.steps) : undefined;
+                const result = await runner.down({ to: args.to, steps, dryRun: args.dryRun });
+                console.log(JSON.stringify(result, null, 2));
+                break;
+            }
+            case 'create': {
+                const filePath = await runner.create(rest.join(' '));
+                console.log(`Migração criada: ${path.relative(process.cwd(), filePath)}`);
+                break;
+            }
+            default:
+                console.error(`Comando desconhecido: ${command} (use status, up, down ou create)`);
+                process.exit(1);
+        }
+        process.exit(0);
+    } catch (err) {
+        console.error('[Migrations] Erro:', err.message);
+        process.exit(1);
+    }
+})();
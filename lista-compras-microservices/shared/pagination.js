@@ -0,0 +1,45 @@
+// shared/pagination.js
+// Paginação por cursor nas rotas HTTP, sobre JsonDatabase.findPage:
+//   ?limit=20&after=<cursor>&includeTotal=true
+// A resposta leva `pagination: { limit, hasMore, nextCursor, total? }` e os headers
+// Link (rel="next" e rel="first", relativos à rota) e X-Total-Count (com includeTotal).
+
+function parsePagination(query, { defaultLimit = 20, maxLimit = 100 } = {}) {
+    const requested = parseInt(query.limit);
+    const limit = Number.isNaN(requested) ? defaultLimit : Math.min(Math.max(requested, 1), maxLimit);
+    const includeTotal = query.includeTotal === 'true' || query.includeTotal === '1';
+    return { limit, after: query.after || undefined, includeTotal };
+}
+
+function pageLink(req, params) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...req.query, ...params })) {
+        if (value !== undefined && value !== null && key !== 'page') {
+            query.set(key, value);
+        }
+    }
+    return `<${req.baseUrl}${req.path}?${query.toString()}>`;
+}
+
+// Define os headers da página e devolve o objeto `pagination` da resposta
+function paginationHeaders(req, res, page, { limit }) {
+    const links = [];
+    if (page.nextCursor) {
+        links.push(`${pageLink(req, { limit, after: page.nextCursor })}; rel="next"`);
+    }
+    links.push(`${pageLink(req, { limit, after: undefined })}; rel="first"`);
+    res.set('Link', links.join(', '));
+
+    if (page.total !== undefined) {
+        res.set('X-Total-Count', String(page.total));
+    }
+
+    return {
+        limit,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        ...(page.total !== undefined ? { total: page.total } : {})
+    };
+}
+
+module.exports = { parsePagination, paginationHeaders };
@@ -0,0 +1,59 @@
+// shared/ratelimit/FileRateLimitStore.js
+const fs = require('fs-extra');
+const path = require('path');
+const FileLock = require('../FileLock');
+
+// Buckets num arquivo JSON: sobrevivem a reinícios e são divididos entre os processos do
+// gateway na mesma máquina. Cada atualização lê e grava o arquivo sob um FileLock, então
+// custa alguns milissegundos por requisição; os buckets vencidos saem a cada gravação.
+class FileRateLimitStore {
+    constructor({ file = path.join(__dirname, '..', 'rate-limits.json') } = {}) {
+        this.file = file;
+        this.lockPath = `${file}.lock`;
+        // Serializa as atualizações deste processo (o lock cuida dos demais)
+        this.queue = Promise.resolve();
+    }
+
+    update(key, update) {
+        const run = this.queue.then(() => this.locked(key, update));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async locked(key, update) {
+        const lock = new FileLock(this.lockPath, { timeoutMs: 2000 });
+        await lock.acquire();
+        try {
+            const buckets = await this.read();
+            const state = update(buckets[key] || null);
+            buckets[key] = state;
+
+            const now = Date.now();
+            Object.keys(buckets).forEach(bucketKey => {
+                if (buckets[bucketKey].expiresAt <= now && bucketKey !== key) delete buckets[bucketKey];
+            });
+
+            const tmpFile = `${this.file}.${process.pid}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(buckets));
+            await fs.rename(tmpFile, this.file);
+            return state;
+        } finally {
+            await lock.release();
+        }
+    }
+
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Erro ao ler rate limits:', error.message);
+            }
+            return {};
+        }
+    }
+
+    close() {}
+}
+
+module.exports = FileRateLimitStore;
@@ -0,0 +1,31 @@
+// shared/ratelimit/MemoryRateLimitStore.js
+
+// Buckets em memória: rápido, mas cada processo do gateway conta sozinho e tudo zera ao
+// reiniciar. Buckets que já teriam se enchido de novo (expiresAt) são descartados de tempos
+// em tempos, já que equivalem a um bucket novo.
+class MemoryRateLimitStore {
+    constructor({ pruneIntervalMs = 60000 } = {}) {
+        this.buckets = new Map();
+        this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    // Lê o estado de key (ou null), aplica update(estado) e grava o resultado
+    async update(key, update) {
+        const state = update(this.buckets.get(key) || null);
+        this.buckets.set(key, state);
+        return state;
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, state] of this.buckets) {
+            if (state.expiresAt <= now) this.buckets.delete(key);
+        }
+    }
+
+    close() {
+        clearInterval(this.pruneTimer);
+    }
+}
+
+module.exports = MemoryRateLimitStore;
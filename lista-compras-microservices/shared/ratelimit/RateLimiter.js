@@ -0,0 +1,122 @@
+// shared/ratelimit/RateLimiter.js
+const crypto = require('crypto');
+
+// Rate limiting por token bucket. Cada regra vale para um prefixo de rota:
+//   { prefix, limit, windowMs, keyBy }
+// O bucket comporta `limit` requisições e se reabastece à taxa de limit/windowMs, então
+// rajadas de até `limit` passam e o ritmo sustentado fica em `limit` por janela.
+// keyBy lista as identidades, na ordem de preferência, que separam os buckets:
+//   apiKey  chave do header X-API-Key, se for uma das configuradas
+//   user    req.user.id, quando a requisição chega autenticada
+//   ip      req.ip (sempre disponível; é o fallback)
+// Vale a regra de prefixo mais longo. O estado fica num store com update(key, fn) (memória
+// ou arquivo; ver index.js).
+
+const IDENTITIES = ['apiKey', 'user', 'ip'];
+
+class RateLimiter {
+    constructor({ store, rules = [], apiKeys = {} }) {
+        this.store = store;
+        // Prefixos mais longos primeiro
+        this.rules = rules.map(rule => RateLimiter.validateRule(rule)).sort((a, b) => b.prefix.length - a.prefix.length);
+        // Só o hash das chaves fica em memória
+        this.apiKeys = new Map(Object.entries(apiKeys).map(([name, key]) => [RateLimiter.hashKey(key), name]));
+    }
+
+    static validateRule(rule) {
+        const keyBy = [].concat(rule.keyBy || 'ip');
+        if (typeof rule.prefix !== 'string' || !rule.prefix.startsWith('/')) {
+            throw new Error(`Regra de rate limit sem prefixo válido: ${JSON.stringify(rule)}`);
+        }
+        if (!(Number(rule.limit) > 0) || !(Number(rule.windowMs) > 0)) {
+            throw new Error(`Regra de rate limit de ${rule.prefix}: limit e windowMs devem ser positivos`);
+        }
+        const unknown = keyBy.filter(identity => !IDENTITIES.includes(identity));
+        if (unknown.length > 0) {
+            throw new Error(`Regra de rate limit de ${rule.prefix}: keyBy desconhecido (${unknown.join(', ')}; disponíveis: ${IDENTITIES.join(', ')})`);
+        }
+        return { prefix: rule.prefix, limit: Number(rule.limit), windowMs: Number(rule.windowMs), keyBy };
+    }
+
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(String(key)).digest('hex');
+    }
+
+    ruleFor(path) {
+        return this.rules.find(rule => path === rule.prefix || path.startsWith(`${rule.prefix}/`)) || null;
+    }
+
+    // Primeira identidade de rule.keyBy disponível na requisição; sem nenhuma, o IP
+    identify(req, rule) {
+        for (const identity of rule.keyBy) {
+            if (identity === 'apiKey' && req.get('X-API-Key')) {
+                const name = this.apiKeys.get(RateLimiter.hashKey(req.get('X-API-Key')));
+                if (name) return `apikey:${name}`;
+            }
+            if (identity === 'user' && req.user?.id) {
+                return `user:${req.user.id}`;
+            }
+            if (identity === 'ip') break;
+        }
+        return `ip:${req.ip}`;
+    }
+
+    // Consome um token do bucket de identity na regra
+    async consume(rule, identity, now = Date.now()) {
+        const refillPerMs = rule.limit / rule.windowMs;
+        let allowed = false;
+
+        const state = await this.store.update(`${rule.prefix}|${identity}`, (current) => {
+            const elapsed = current ? Math.max(0, now - current.updatedAt) : 0;
+            let tokens = current ? Math.min(rule.limit, current.tokens + elapsed * refillPerMs) : rule.limit;
+            allowed = tokens >= 1;
+            if (allowed) tokens -= 1;
+            return { tokens, updatedAt: now, expiresAt: now + Math.ceil((rule.limit - tokens) / refillPerMs) };
+        });
+
+        return {
+            allowed,
+            limit: rule.limit,
+            remaining: Math.floor(state.tokens),
+            // Segundos até o bucket encher de novo e, se recusada, até o próximo token
+            resetSeconds: Math.ceil((rule.limit - state.tokens) / refillPerMs / 1000),
+            retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((1 - state.tokens) / refillPerMs / 1000))
+        };
+    }
+
+    // Middleware do Express: headers RateLimit-* em toda resposta limitada e 429 quando o
+    // bucket está vazio. Se o store falhar a requisição passa (o limite não derruba o gateway).
+    middleware() {
+        return async (req, res, next) => {
+            const rule = this.ruleFor(req.path);
+            if (!rule) return next();
+
+            let result;
+            try {
+                result = await this.consume(rule, this.identify(req, rule));
+            } catch (error) {
+                console.error('Rate limit indisponível:', error.message);
+                return next();
+            }
+
+            res.set({
+                'RateLimit-Limit': String(result.limit),
+                'RateLimit-Remaining': String(result.remaining),
+                'RateLimit-Reset': String(result.resetSeconds),
+                'RateLimit-Policy': `${rule.limit};w=${Math.ceil(rule.windowMs / 1000)}`,
+            });
+
+            if (!result.allowed) {
+                res.set('Retry-After', String(result.retryAfterSeconds));
+                return res.status(429).json({
+                    success: false,
+                    message: 'Muitas requisições; tente novamente mais tarde',
+                    retryAfter: result.retryAfterSeconds,
+                });
+            }
+            next();
+        };
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,64 @@
+// shared/ratelimit/index.js
+// Rate limiting do gateway (ver RateLimiter). Stores disponíveis:
+//   memory  buckets em memória, por processo (padrão)
+//   file    buckets num arquivo JSON com lock, divididos entre os processos da máquina
+// Outros stores só precisam de update(key, fn) assíncrono e atômico e de close().
+const RateLimiter = require('./RateLimiter');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const FileRateLimitStore = require('./FileRateLimitStore');
+
+const stores = {
+    memory: options => new MemoryRateLimitStore(options),
+    file: options => new FileRateLimitStore(options)
+};
+
+function createRateLimitStore({ type = process.env.RATE_LIMIT_STORE || 'memory', file = process.env.RATE_LIMIT_FILE } = {}) {
+    if (!stores[type]) {
+        throw new Error(`Store de rate limit desconhecido: ${type} (disponíveis: ${Object.keys(stores).join(', ')})`);
+    }
+    return stores[type](file ? { file } : {});
+}
+
+// Rate limiter com as regras padrão de quem chama e a configuração do ambiente:
+//   RATE_LIMIT_STORE     memory | file        RATE_LIMIT_FILE  caminho do store em arquivo
+//   RATE_LIMIT_API_KEYS  nome:chave,nome:chave (chaves aceitas em X-API-Key)
+//   RATE_LIMITS          JSON por prefixo, sobrepondo ou acrescentando regras, ex.:
+//                        {"/api/search":{"limit":10,"windowMs":60000,"keyBy":["user","ip"]}}
+function createRateLimiter({ rules = [], env = process.env } = {}) {
+    let overrides = {};
+    if (env.RATE_LIMITS) {
+        try {
+            overrides = JSON.parse(env.RATE_LIMITS);
+        } catch (error) {
+            throw new Error(`RATE_LIMITS inválido: ${error.message}`);
+        }
+    }
+
+    const byPrefix = new Map(rules.map(rule => [rule.prefix, rule]));
+    Object.entries(overrides).forEach(([prefix, rule]) => {
+        byPrefix.set(prefix, { ...(byPrefix.get(prefix) || {}), ...rule, prefix });
+    });
+
+    const apiKeys = {};
+    (env.RATE_LIMIT_API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0 || separator === entry.length - 1) {
+            throw new Error('RATE_LIMIT_API_KEYS deve ter o formato nome:chave,nome:chave');
+        }
+        apiKeys[entry.slice(0, separator)] = entry.slice(separator + 1);
+    });
+
+    return new RateLimiter({
+        store: createRateLimitStore({ type: env.RATE_LIMIT_STORE || 'memory', file: env.RATE_LIMIT_FILE }),
+        rules: [...byPrefix.values()],
+        apiKeys
+    });
+}
+
+module.exports = {
+    createRateLimiter,
+    createRateLimitStore,
+    RateLimiter,
+    MemoryRateLimitStore,
+    FileRateLimitStore
+};
@@ -0,0 +1,89 @@
+// shared/registry/FileServiceRegistry.js
+const fs = require('fs');
+const path = require('path');
+const ServiceRegistry = require('./ServiceRegistry');
+
+// Registry num arquivo JSON compartilhado (shared/services-registry.json). Só funciona com
+// todos os processos na mesma máquina e escritas simultâneas de processos diferentes podem
+// se sobrepor (a última vence; os heartbeats recolocam a instância perdida): use-o no
+// desenvolvimento local e o registry-service (REGISTRY_URL) nos demais casos.
+class FileServiceRegistry extends ServiceRegistry {
+    constructor({ registryFile = path.join(__dirname, '..', 'services-registry.json') } = {}) {
+        super();
+        this.registryFile = registryFile;
+        this.ensureRegistryFile();
+        console.log('File-based Service Registry inicializado:', this.registryFile);
+    }
+
+    ensureRegistryFile() {
+        if (!fs.existsSync(this.registryFile)) {
+            this.writeRegistry({});
+        }
+    }
+
+    loadRegistry() {
+        try {
+            const data = fs.readFileSync(this.registryFile, 'utf8');
+            return this.normalizeRegistry(JSON.parse(data));
+        } catch (error) {
+            console.error('Erro ao ler registry file:', error.message);
+            return {};
+        }
+    }
+
+    // Arquivos do formato antigo (uma entrada por serviço) viram uma instância cada
+    normalizeRegistry(services) {
+        Object.entries(services).forEach(([name, entry]) => {
+            if (entry && typeof entry.url === 'string') {
+                const instanceId = this.defaultInstanceId(name, entry.url);
+                services[name] = { [instanceId]: { ...entry, instanceId } };
+            }
+        });
+        return services;
+    }
+
+    // Escrita atômica (arquivo temporário + rename): quem lê nunca vê o JSON pela metade
+    writeRegistry(services) {
+        const tmpFile = `${this.registryFile}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tmpFile, JSON.stringify(services, null, 2));
+            fs.renameSync(tmpFile, this.registryFile);
+        } catch (error) {
+            console.error('Erro ao escrever registry file:', error.message);
+        }
+    }
+
+    // Observa o diretório (e não o arquivo: a escrita atômica troca o arquivo via rename)
+    // para avisar as alterações feitas pelos outros processos
+    watchBackend(onChange) {
+        const fileName = path.basename(this.registryFile);
+        try {
+            this.watcher = fs.watch(path.dirname(this.registryFile), { persistent: false }, (_event, filename) => {
+                if (filename && filename.toString() !== fileName) return;
+                onChange();
+            });
+            this.watcher.on('error', (error) => {
+                console.error('Watcher do registry desativado:', error.message);
+                this.unwatchBackend();
+            });
+            return true;
+        } catch (error) {
+            console.warn(`Não foi possível observar ${this.registryFile}:`, error.message);
+            this.watcher = null;
+            return false;
+        }
+    }
+
+    unwatchBackend() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    isWatchingBackend() {
+        return Boolean(this.watcher);
+    }
+}
+
+module.exports = FileServiceRegistry;
@@ -0,0 +1,178 @@
+// shared/registry/HttpServiceRegistry.js
+const axios = require('axios');
+const ServiceRegistry = require('./ServiceRegistry');
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 15000;
+
+// Cliente do registry-service, com a mesma API do registry em arquivo. As leituras
+// (discover, listServices...) continuam síncronas: usam uma cópia local do estado, mantida
+// pelo fluxo GET /watch (SSE) do registry-service e reconectada sozinha se cair; as
+// assinaturas (subscribe) comparam cada snapshot recebido com o anterior. As escritas
+// (register, heartbeat, unregister, updateHealth) viram requisições HTTP e devolvem Promises;
+// se o registry-service reiniciar e esquecer a instância, o próximo heartbeat a registra de novo.
+class HttpServiceRegistry extends ServiceRegistry {
+    constructor({ url, timeoutMs = 3000 }) {
+        super();
+        this.baseUrl = url.replace(/\/+$/, '');
+        this.http = axios.create({ baseURL: this.baseUrl, timeout: timeoutMs, family: 4 });
+        this.cache = {};
+        this.version = 0;
+        this.closed = false;
+        this.reconnectMs = RECONNECT_MIN_MS;
+
+        this.ready = this.refresh().catch(error => {
+            console.error(`Registry ${this.baseUrl} indisponível:`, error.message);
+        });
+        this.watch();
+        console.log('HTTP Service Registry:', this.baseUrl);
+    }
+
+    loadRegistry() {
+        return this.cache;
+    }
+
+    // Snapshots que não são mais novos que o atual são ignorados (ex.: a resposta lenta de um
+    // refresh chegando depois de um snapshot mais novo do fluxo). force: o primeiro snapshot de
+    // cada conexão ao /watch vale sempre, pois o registry-service pode ter reiniciado a contagem
+    applySnapshot({ version, services }, { force = false } = {}) {
+        if (!force && !(version > this.version)) return false;
+        this.version = version;
+        this.cache = services || {};
+        this.refreshView(this.cache);
+        return true;
+    }
+
+    // O fluxo /watch já entrega cada mudança (refreshView em applySnapshot)
+    isWatchingBackend() {
+        return Boolean(this.stream);
+    }
+
+    async refresh() {
+        const { data } = await this.http.get('/services');
+        this.applySnapshot(data);
+        return this.cache;
+    }
+
+    // ---- Fluxo de alterações (SSE) ----
+
+    async watch() {
+        if (this.closed) return;
+
+        try {
+            const response = await this.http.get('/watch', { responseType: 'stream', timeout: 0 });
+            this.stream = response.data;
+            this.awaitingSnapshot = true;
+            // O fluxo não deve manter vivo um processo que já terminou o resto do trabalho
+            this.stream.socket?.unref();
+            this.reconnectMs = RECONNECT_MIN_MS;
+
+            let buffer = '';
+            this.stream.on('data', chunk => {
+                buffer += chunk.toString('utf8');
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    this.handleEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                }
+            });
+            this.stream.on('error', () => {});
+            this.stream.on('close', () => this.scheduleReconnect());
+        } catch (error) {
+            this.scheduleReconnect();
+        }
+    }
+
+    handleEvent(raw) {
+        let event = 'message';
+        let data = '';
+        for (const line of raw.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (event === 'snapshot' && data) {
+            try {
+                this.applySnapshot(JSON.parse(data), { force: this.awaitingSnapshot });
+                this.awaitingSnapshot = false;
+            } catch (error) {
+                console.error('Evento inválido do registry:', error.message);
+            }
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) return;
+        this.stream = null;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.watch();
+        }, this.reconnectMs);
+        this.reconnectTimer.unref();
+        this.reconnectMs = Math.min(this.reconnectMs * 2, RECONNECT_MAX_MS);
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.stream?.destroy();
+    }
+
+    // ---- Escritas ----
+
+    path(serviceName, instanceId, action) {
+        let url = `/services/${encodeURIComponent(serviceName)}`;
+        if (instanceId) url += `/instances/${encodeURIComponent(instanceId)}`;
+        return action ? `${url}/${action}` : url;
+    }
+
+    async saveInstance(serviceName, instance) {
+        try {
+            await this.http.post(this.path(serviceName, null, 'instances'), instance);
+            return instance.instanceId;
+        } catch (error) {
+            // O heartbeat tenta registrar de novo quando o registry voltar
+            console.error(`Falha ao registrar ${instance.instanceId} em ${this.baseUrl}:`, error.message);
+            return null;
+        }
+    }
+
+    // Devolve false quando o registry não conhece a instância (404); erros de rede são lançados
+    async request(method, url, data) {
+        try {
+            await this.http.request({ method, url, data });
+            return true;
+        } catch (error) {
+            if (error.response?.status === 404) return false;
+            throw error;
+        }
+    }
+
+    removeInstance(serviceName, instanceId) {
+        return this.request('DELETE', this.path(serviceName, instanceId)).catch(error => {
+            console.error(`Falha ao remover ${instanceId || serviceName} de ${this.baseUrl}:`, error.message);
+            return false;
+        });
+    }
+
+    renewLease(serviceName, instanceId, leaseTtlMs = this.leaseTtlMs) {
+        return this.request('PUT', this.path(serviceName, instanceId, 'heartbeat'), { leaseTtlMs });
+    }
+
+    setHealth(serviceName, instanceId, healthy) {
+        return this.request('PUT', this.path(serviceName, instanceId, 'health'), { healthy });
+    }
+
+    // A varredura de leases é feita pelo próprio registry-service
+    async evictExpired() {
+        return { stale: [], evicted: [] };
+    }
+
+    startEviction() {}
+
+    async clear() {
+        await this.http.delete('/services');
+        console.log('Registry limpo');
+    }
+}
+
+module.exports = HttpServiceRegistry;
@@ -0,0 +1,38 @@
+// shared/registry/MemoryServiceRegistry.js
+const ServiceRegistry = require('./ServiceRegistry');
+
+// Registry em memória: o estado do registry-service (um único processo serializa todas as
+// escritas). Cada alteração incrementa `version` e emite 'change' com { version, services }.
+class MemoryServiceRegistry extends ServiceRegistry {
+    constructor() {
+        super();
+        this.services = {};
+        this.version = 0;
+    }
+
+    loadRegistry() {
+        return JSON.parse(JSON.stringify(this.services));
+    }
+
+    writeRegistry(services) {
+        this.services = services;
+        this.version++;
+        this.events.emit('change', this.snapshot());
+    }
+
+    snapshot() {
+        return { version: this.version, services: this.loadRegistry() };
+    }
+
+    // Todas as escritas passam por writeRegistry: não há mudança externa a observar
+    isWatchingBackend() {
+        return true;
+    }
+
+    onChange(listener) {
+        this.events.on('change', listener);
+        return () => this.events.off('change', listener);
+    }
+}
+
+module.exports = MemoryServiceRegistry;
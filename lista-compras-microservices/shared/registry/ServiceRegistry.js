@@ -0,0 +1,585 @@
+// shared/registry/ServiceRegistry.js
+const os = require('os');
+const { EventEmitter } = require('events');
+const LoadBalancer = require('../LoadBalancer');
+
+// Base dos registries de serviços. O estado é um mapa com várias instâncias por serviço:
+//   { "list-service": { "<instanceId>": { instanceId, url, pid, hostname, metadata, healthy, ... } } }
+// discover() escolhe uma das instâncias saudáveis com o LoadBalancer (LB_STRATEGY:
+// round-robin, random ou least-outstanding).
+//
+// Cada instância tem um lease: o serviço manda heartbeats (startHeartbeat) e, sem heartbeat
+// por REGISTRY_LEASE_TTL_MS, a instância fica stale (fora do discover); depois de
+// REGISTRY_EVICT_AFTER_MS ela é removida por evictExpired(). Instâncias deste host cujo
+// processo já não existe (ex.: kill -9) são removidas na hora.
+//
+// As subclasses guardam o estado: loadRegistry() e writeRegistry(services) para os backends
+// locais (arquivo e memória), que alteram o mapa inteiro por mutate(); o cliente HTTP
+// sobrescreve as operações de escrita (saveInstance, removeInstance, renewLease, setHealth,
+// evictExpired, clear), que então devolvem Promises.
+//
+// subscribe() avisa as mudanças de topologia (instâncias adicionadas, removidas ou que mudaram
+// de disponibilidade); enquanto houver assinaturas, as leituras usam uma visão em memória
+// atualizada pelo próprio backend (watch do arquivo, SSE do registry-service).
+class ServiceRegistry {
+    constructor() {
+        this.balancer = new LoadBalancer({ strategy: process.env.LB_STRATEGY || 'round-robin' });
+        // Instâncias registradas por este processo: serviceName -> { instanceId, serviceInfo }
+        this.localInstances = new Map();
+        this.heartbeatTimers = new Map();
+        this.leaseTtlMs = Number(process.env.REGISTRY_LEASE_TTL_MS) || 30000;
+        this.evictAfterMs = Number(process.env.REGISTRY_EVICT_AFTER_MS) || 2 * this.leaseTtlMs;
+        this.heartbeatIntervalMs = Number(process.env.HEARTBEAT_INTERVAL_MS) || Math.floor(this.leaseTtlMs / 3);
+        this.watchIntervalMs = Number(process.env.REGISTRY_WATCH_INTERVAL_MS) || 1000;
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+        // Visão em memória, mantida enquanto houver assinaturas (ver subscribe)
+        this.view = null;
+    }
+
+    // Estado atual lido do backend
+    loadRegistry() {
+        throw new Error(`${this.constructor.name} não implementa loadRegistry`);
+    }
+
+    // Estado para leitura: a visão das assinaturas ou, sem ela, o do backend
+    readRegistry() {
+        return this.view || this.loadRegistry();
+    }
+
+    writeRegistry() {
+        throw new Error(`${this.constructor.name} não implementa writeRegistry`);
+    }
+
+    // Lê o estado, aplica a alteração e grava só se algo mudou; devolve o resultado de operation
+    mutate(operation) {
+        const services = this.loadRegistry();
+        const before = JSON.stringify(services);
+        const result = operation(services);
+        if (JSON.stringify(services) !== before) {
+            this.writeRegistry(services);
+            this.refreshView(services);
+        }
+        return result;
+    }
+
+    defaultInstanceId(serviceName, url) {
+        return `${serviceName}@${String(url).replace(/^\w+:\/\//, '')}`;
+    }
+
+    // Registro completo de uma instância. serviceInfo: url, instanceId (opcional; padrão
+    // "<serviço>@host:porta"), pid/hostname/leaseTtlMs (padrão: os deste processo) e
+    // metadados livres (version, endpoints...)
+    buildInstance(serviceName, serviceInfo) {
+        const {
+            url,
+            instanceId = this.defaultInstanceId(serviceName, url),
+            pid = process.pid,
+            hostname = os.hostname(),
+            leaseTtlMs = this.leaseTtlMs,
+            metadata = {},
+            ...rest
+        } = serviceInfo;
+
+        const now = Date.now();
+        return {
+            instanceId,
+            url,
+            pid,
+            hostname,
+            metadata: { ...rest, ...metadata },
+            registeredAt: now,
+            lastHealthCheck: now,
+            lastHeartbeat: now,
+            leaseTtlMs,
+            healthy: true
+        };
+    }
+
+    // ---- Operações sobre o estado (backends locais) ----
+
+    saveInstance(serviceName, instance) {
+        return this.mutate(services => {
+            const instances = services[serviceName] || {};
+            // Outra instância registrada antes na mesma URL já não existe mais
+            Object.values(instances).forEach(other => {
+                if (other.url === instance.url && other.instanceId !== instance.instanceId) {
+                    delete instances[other.instanceId];
+                }
+            });
+            instances[instance.instanceId] = instance;
+            services[serviceName] = instances;
+            return instance.instanceId;
+        });
+    }
+
+    // Sem instanceId remove todas as instâncias do serviço
+    removeInstance(serviceName, instanceId) {
+        return this.mutate(services => {
+            if (!services[serviceName] || (instanceId && !services[serviceName][instanceId])) {
+                return false;
+            }
+            if (instanceId) {
+                delete services[serviceName][instanceId];
+            }
+            if (!instanceId || Object.keys(services[serviceName]).length === 0) {
+                delete services[serviceName];
+            }
+            return true;
+        });
+    }
+
+    renewLease(serviceName, instanceId, leaseTtlMs = this.leaseTtlMs) {
+        return this.mutate(services => {
+            const instance = services[serviceName]?.[instanceId];
+            if (!instance) {
+                return false;
+            }
+            instance.lastHeartbeat = Date.now();
+            instance.leaseTtlMs = leaseTtlMs;
+            if (instance.stale) {
+                delete instance.stale;
+                instance.healthy = true;
+                console.log(`Instância ${instanceId} voltou a mandar heartbeats`);
+            }
+            return true;
+        });
+    }
+
+    setHealth(serviceName, instanceId, healthy) {
+        return this.mutate(services => {
+            const instance = services[serviceName]?.[instanceId];
+            if (!instance) {
+                return false;
+            }
+            instance.healthy = healthy;
+            instance.lastHealthCheck = Date.now();
+            return true;
+        });
+    }
+
+    // Marca como stale as instâncias com lease vencido e remove as expiradas ou de processos
+    // mortos. Devolve { stale: [...ids], evicted: [...ids] }
+    evictExpired() {
+        return this.mutate(services => {
+            const now = Date.now();
+            const stale = [];
+            const evicted = [];
+
+            Object.entries(services).forEach(([name, instances]) => {
+                Object.values(instances).forEach(instance => {
+                    const state = this.leaseState(instance, now);
+                    if (state === 'dead' || state === 'expired') {
+                        delete instances[instance.instanceId];
+                        evicted.push(instance.instanceId);
+                        console.log(`Instância removida do registry: ${name} [${instance.instanceId}] (${state === 'dead' ? `processo ${instance.pid} não existe` : 'lease expirado'})`);
+                    } else if (state === 'stale' && !instance.stale) {
+                        instance.stale = true;
+                        instance.healthy = false;
+                        stale.push(instance.instanceId);
+                        console.log(`Instância sem heartbeat: ${name} [${instance.instanceId}]`);
+                    }
+                });
+                if (Object.keys(instances).length === 0) {
+                    delete services[name];
+                }
+            });
+
+            return { stale, evicted };
+        });
+    }
+
+    // Limpar registry (útil para desenvolvimento)
+    clear() {
+        this.writeRegistry({});
+        this.refreshView({});
+        console.log('Registry limpo');
+    }
+
+    // ---- Instância deste processo ----
+
+    // Registrar uma instância deste processo (ver buildInstance). Devolve o instanceId.
+    register(serviceName, serviceInfo) {
+        const instance = this.buildInstance(serviceName, serviceInfo);
+        this.localInstances.set(serviceName, { instanceId: instance.instanceId, serviceInfo });
+        this.saveInstance(serviceName, instance);
+        console.log(`Serviço registrado: ${serviceName} - ${instance.url} (instância ${instance.instanceId}, PID: ${instance.pid})`);
+        return instance.instanceId;
+    }
+
+    // Remover uma instância (padrão: a deste processo; sem ela, nada é removido —
+    // removeInstance(serviceName) remove todas as instâncias do serviço)
+    unregister(serviceName, instanceId) {
+        const local = this.localInstances.get(serviceName);
+        const target = instanceId || local?.instanceId;
+        if (!target) {
+            return false;
+        }
+
+        if (local && (!instanceId || instanceId === local.instanceId)) {
+            this.localInstances.delete(serviceName);
+            this.stopHeartbeat(serviceName);
+        }
+        console.log(`Serviço removido: ${serviceName} (instância ${target})`);
+        return this.removeInstance(serviceName, target);
+    }
+
+    // Renova o lease da instância deste processo (registrando de novo se ela foi removida)
+    async heartbeat(serviceName) {
+        const local = this.localInstances.get(serviceName);
+        if (!local) {
+            return false;
+        }
+
+        const renewed = await this.renewLease(serviceName, local.instanceId, this.leaseTtlMs);
+        if (!renewed && this.localInstances.get(serviceName) === local) {
+            console.log(`Instância ${local.instanceId} não está no registry; registrando de novo`);
+            this.register(serviceName, local.serviceInfo);
+        }
+        return true;
+    }
+
+    // Heartbeats periódicos da instância deste processo (HEARTBEAT_INTERVAL_MS, padrão 1/3 do lease)
+    startHeartbeat(serviceName, intervalMs = this.heartbeatIntervalMs) {
+        this.stopHeartbeat(serviceName);
+        const timer = setInterval(() => {
+            this.heartbeat(serviceName).catch(error => {
+                console.error(`Erro no heartbeat de ${serviceName}:`, error.message);
+            });
+        }, intervalMs);
+        timer.unref();
+        this.heartbeatTimers.set(serviceName, timer);
+    }
+
+    stopHeartbeat(serviceName) {
+        clearInterval(this.heartbeatTimers.get(serviceName));
+        this.heartbeatTimers.delete(serviceName);
+    }
+
+    // Health check de uma instância (padrão: a deste processo)
+    updateHealth(serviceName, healthy, instanceId) {
+        const target = instanceId || this.localInstances.get(serviceName)?.instanceId;
+        if (!target) {
+            return false;
+        }
+        console.log(`Health check: ${serviceName} [${target}] - ${healthy ? 'OK' : 'FAIL'}`);
+        return this.setHealth(serviceName, target, healthy);
+    }
+
+    // Cleanup na saída do processo: remove as instâncias registradas por ele
+    cleanup() {
+        const removals = [...this.localInstances.keys()].map(serviceName => {
+            console.log(`Removendo instância ${this.localInstances.get(serviceName).instanceId} de ${serviceName} do PID ${process.pid}`);
+            return this.unregister(serviceName);
+        });
+        return Promise.all(removals);
+    }
+
+    // ---- Assinaturas (topologia) ----
+
+    // Chama listener(event) a cada mudança de topologia:
+    //   { type: 'added' | 'removed' | 'health', service, instanceId, instance, healthy, at }
+    // 'health' sai quando a instância passa a (ou deixa de) estar disponível para o discover:
+    // health check, heartbeat, lease vencido ou processo morto. options.service filtra um
+    // serviço e options.replay emite 'added' para as instâncias já registradas.
+    // Devolve a função que cancela a assinatura.
+    subscribe(listener, options = {}) {
+        const handler = (event) => {
+            if (options.service && event.service !== options.service) return;
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Erro num assinante do registry:', error.message);
+            }
+        };
+
+        this.startTracking();
+        this.events.on('topology', handler);
+
+        if (options.replay) {
+            const now = Date.now();
+            const services = this.view;
+            process.nextTick(() => {
+                Object.entries(services).forEach(([service, instances]) => {
+                    Object.values(instances).forEach(instance => {
+                        handler(this.topologyEvent('added', service, instance, this.isAvailable(instance, now)));
+                    });
+                });
+            });
+        }
+
+        return () => {
+            this.events.off('topology', handler);
+            if (this.events.listenerCount('topology') === 0) {
+                this.stopTracking();
+            }
+        };
+    }
+
+    startTracking() {
+        if (this.view) return;
+        this.view = this.loadRegistry();
+        this.availability = this.availabilityOf(this.view);
+        this.watchBackend(() => this.reloadView());
+
+        // Leases vencem sem que nada seja gravado: a visão é reavaliada periodicamente
+        // (e relida do backend quando ele não avisa as mudanças sozinho)
+        this.viewTimer = setInterval(() => {
+            if (this.isWatchingBackend()) this.refreshView(this.view);
+            else this.reloadView();
+        }, this.watchIntervalMs);
+        this.viewTimer.unref();
+    }
+
+    stopTracking() {
+        clearInterval(this.viewTimer);
+        this.unwatchBackend();
+        this.view = null;
+        this.availability = null;
+    }
+
+    // Os backends que conseguem avisar mudanças externas sobrescrevem estes três
+    watchBackend() {
+        return false;
+    }
+
+    unwatchBackend() {}
+
+    isWatchingBackend() {
+        return false;
+    }
+
+    reloadView() {
+        try {
+            this.refreshView(this.loadRegistry());
+        } catch (error) {
+            console.error('Erro ao atualizar a visão do registry:', error.message);
+        }
+    }
+
+    availabilityOf(services, now = Date.now()) {
+        const availability = new Map();
+        Object.entries(services).forEach(([service, instances]) => {
+            Object.values(instances).forEach(instance => {
+                availability.set(`${service}\u0000${instance.instanceId}`, this.isAvailable(instance, now));
+            });
+        });
+        return availability;
+    }
+
+    // Troca a visão pelo novo estado e emite as diferenças (só com assinaturas ativas)
+    refreshView(services) {
+        if (!this.view) return;
+
+        const previousView = this.view;
+        const previous = this.availability;
+        const current = this.availabilityOf(services);
+        const events = [];
+
+        Object.entries(services).forEach(([service, instances]) => {
+            Object.values(instances).forEach(instance => {
+                const key = `${service}\u0000${instance.instanceId}`;
+                if (!previous.has(key)) {
+                    events.push(this.topologyEvent('added', service, instance, current.get(key)));
+                } else if (previous.get(key) !== current.get(key)) {
+                    events.push(this.topologyEvent('health', service, instance, current.get(key)));
+                }
+            });
+        });
+        previous.forEach((_healthy, key) => {
+            if (!current.has(key)) {
+                const [service, instanceId] = key.split('\u0000');
+                events.push(this.topologyEvent('removed', service, previousView[service]?.[instanceId], false));
+            }
+        });
+
+        this.view = services;
+        this.availability = current;
+        events.forEach(event => this.events.emit('topology', event));
+    }
+
+    topologyEvent(type, service, instance, healthy) {
+        return { type, service, instanceId: instance.instanceId, instance, healthy, at: new Date().toISOString() };
+    }
+
+    // ---- Leitura ----
+
+    // Instâncias de um serviço (options.healthyOnly: só as saudáveis com lease em dia)
+    getInstances(serviceName, options = {}) {
+        const services = this.readRegistry();
+        const instances = Object.values(services[serviceName] || {});
+        return options.healthyOnly ? instances.filter(instance => this.isAvailable(instance)) : instances;
+    }
+
+    // 'alive' | 'stale' (lease vencido) | 'expired' (passou de evictAfterMs) | 'dead' (processo morto)
+    leaseState(instance, now = Date.now()) {
+        if (!this.isProcessAlive(instance)) {
+            return 'dead';
+        }
+        const age = now - (instance.lastHeartbeat || instance.lastHealthCheck || instance.registeredAt || 0);
+        if (age > Math.max(this.evictAfterMs, instance.leaseTtlMs || this.leaseTtlMs)) {
+            return 'expired';
+        }
+        return age > (instance.leaseTtlMs || this.leaseTtlMs) ? 'stale' : 'alive';
+    }
+
+    isAvailable(instance, now = Date.now()) {
+        return instance.healthy && this.leaseState(instance, now) === 'alive';
+    }
+
+    // Só dá para conferir processos do próprio host; os demais dependem do lease
+    isProcessAlive(instance) {
+        if (!instance.pid || (instance.hostname && instance.hostname !== os.hostname())) {
+            return true;
+        }
+        try {
+            process.kill(instance.pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM'; // existe, mas é de outro usuário
+        }
+    }
+
+    // Descobrir uma instância saudável de um serviço (options.strategy sobrepõe LB_STRATEGY).
+    // options.exclude: instanceIds a evitar (ex.: já tentados), se sobrar outra saudável
+    discover(serviceName, options = {}) {
+        const services = this.readRegistry();
+        const instances = Object.values(services[serviceName] || {});
+
+        if (instances.length === 0) {
+            console.error(`Serviço não encontrado: ${serviceName}`);
+            console.error(`Serviços registrados:`, Object.keys(services));
+            throw new Error(`Serviço não encontrado: ${serviceName}`);
+        }
+
+        const now = Date.now();
+        const healthy = instances.filter(instance => this.isAvailable(instance, now));
+        if (healthy.length === 0) {
+            console.error(`Serviço indisponível: ${serviceName} (${instances.length} instância(s), nenhuma saudável)`);
+            throw new Error(`Serviço indisponível: ${serviceName}`);
+        }
+
+        const untried = options.exclude?.length
+            ? healthy.filter(instance => !options.exclude.includes(instance.instanceId))
+            : healthy;
+        const instance = this.balancer.pick(serviceName, untried.length > 0 ? untried : healthy, options.strategy);
+        return { name: serviceName, ...instance };
+    }
+
+    // Marca uma requisição em andamento na instância (para least-outstanding);
+    // devolve a função a chamar quando ela terminar
+    acquire(instance) {
+        return this.balancer.acquire(instance);
+    }
+
+    // Listar todos os serviços. url e healthy resumem as instâncias (a primeira saudável)
+    listServices() {
+        const services = this.readRegistry();
+        const serviceList = {};
+        const now = Date.now();
+
+        Object.entries(services).forEach(([name, entries]) => {
+            const instances = Object.values(entries);
+            if (instances.length === 0) return;
+            const primary = instances.find(instance => this.isAvailable(instance, now)) || instances[0];
+
+            serviceList[name] = {
+                url: primary.url,
+                healthy: instances.some(instance => this.isAvailable(instance, now)),
+                registeredAt: new Date(Math.min(...instances.map(instance => instance.registeredAt))).toISOString(),
+                uptime: Date.now() - primary.registeredAt,
+                pid: primary.pid,
+                instances: instances.map(instance => ({
+                    instanceId: instance.instanceId,
+                    url: instance.url,
+                    healthy: this.isAvailable(instance, now),
+                    lease: this.leaseState(instance, now),
+                    lastHeartbeat: instance.lastHeartbeat ? new Date(instance.lastHeartbeat).toISOString() : null,
+                    pid: instance.pid,
+                    registeredAt: new Date(instance.registeredAt).toISOString(),
+                    uptime: Date.now() - instance.registeredAt,
+                    outstanding: this.balancer.outstanding(instance),
+                    metadata: instance.metadata || {}
+                }))
+            };
+        });
+
+        return serviceList;
+    }
+
+    // Health check de todas as instâncias de todos os serviços
+    async performHealthChecks() {
+        const axios = require('axios');
+        await this.evictExpired();
+        const services = this.readRegistry();
+        const checks = Object.entries(services).flatMap(([serviceName, instances]) =>
+            Object.values(instances).map(instance => [serviceName, instance])
+        );
+
+        console.log(`Executando health checks de ${checks.length} instâncias...`);
+
+        for (const [serviceName, instance] of checks) {
+            try {
+                await axios.get(`${instance.url}/health`, {
+                    timeout: 5000,
+                    family: 4
+                });
+                await this.updateHealth(serviceName, true, instance.instanceId);
+            } catch (error) {
+                console.error(`Health check falhou para ${serviceName} [${instance.instanceId}]:`, error.message);
+                await this.updateHealth(serviceName, false, instance.instanceId);
+            }
+        }
+    }
+
+    // Varredura periódica (o gateway roda uma; REGISTRY_SWEEP_MS, padrão 5s)
+    startEviction(intervalMs = Number(process.env.REGISTRY_SWEEP_MS) || 5000) {
+        if (this.evictionTimer) return;
+        this.evictionTimer = setInterval(async () => {
+            try {
+                await this.evictExpired();
+            } catch (error) {
+                console.error('Erro na varredura do registry:', error.message);
+            }
+        }, intervalMs);
+        this.evictionTimer.unref();
+    }
+
+    // Debug: listar serviços registrados
+    debugListServices() {
+        const services = this.readRegistry();
+        console.log('DEBUG - Serviços registrados:');
+        Object.entries(services).forEach(([name, instances]) => {
+            Object.values(instances).forEach(instance => {
+                console.log(`   ${name}: ${instance.url} (${instance.healthy ? 'healthy' : 'unhealthy'}) PID:${instance.pid} [${instance.instanceId}]`);
+            });
+        });
+    }
+
+    // Verificar se um serviço existe
+    hasService(serviceName) {
+        const services = this.readRegistry();
+        return Object.keys(services[serviceName] || {}).length > 0;
+    }
+
+    // Obter estatísticas (de instâncias)
+    getStats() {
+        const services = this.readRegistry();
+        let healthy = 0;
+        let unhealthy = 0;
+
+        Object.values(services).forEach(instances => {
+            Object.values(instances).forEach(instance => {
+                if (instance.healthy) {
+                    healthy++;
+                } else {
+                    unhealthy++;
+                }
+            });
+        });
+
+        return { total: Object.keys(services).length, instances: healthy + unhealthy, healthy, unhealthy };
+    }
+}
+
+module.exports = ServiceRegistry;
@@ -0,0 +1,26 @@
+// shared/registry/index.js
+// Backends do registry de serviços. Todos expõem a mesma API (ver ServiceRegistry):
+//   register / unregister / heartbeat / startHeartbeat / updateHealth / cleanup
+//   discover / acquire / getInstances / listServices / hasService / getStats
+//   performHealthChecks / evictExpired / startEviction / clear
+// No backend HTTP as escritas devolvem Promises; as leituras são síncronas em todos.
+const ServiceRegistry = require('./ServiceRegistry');
+const FileServiceRegistry = require('./FileServiceRegistry');
+const MemoryServiceRegistry = require('./MemoryServiceRegistry');
+const HttpServiceRegistry = require('./HttpServiceRegistry');
+
+// Com `url` (ou REGISTRY_URL) usa o registry-service; sem ele, o arquivo compartilhado
+function createRegistry({ url = process.env.REGISTRY_URL, registryFile } = {}) {
+    if (url) {
+        return new HttpServiceRegistry({ url });
+    }
+    return new FileServiceRegistry({ registryFile });
+}
+
+module.exports = {
+    createRegistry,
+    ServiceRegistry,
+    FileServiceRegistry,
+    MemoryServiceRegistry,
+    HttpServiceRegistry
+};
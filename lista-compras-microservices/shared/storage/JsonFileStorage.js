@@ -0,0 +1,324 @@
+// shared/storage/JsonFileStorage.js
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const FileLock = require('../FileLock');
+const { enqueue } = require('./writeQueue');
+
+// Armazenamento em arquivos JSON (padrão).
+// Cada mutação é gravada no journal (uma linha JSON por operação) em vez de reescrever
+// a coleção inteira. O arquivo <coleção>.json é o snapshot: o estado atual é
+// snapshot + journal, e a compactação incorpora o journal ao snapshot.
+class JsonFileStorage {
+    constructor({ dbPath, collectionName, compactThreshold }) {
+        this.type = 'json';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.json`);
+        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.journalPath = path.join(dbPath, `${collectionName}_journal.jsonl`);
+        this.fileLock = new FileLock(path.join(dbPath, `${collectionName}.lock`));
+
+        // Número de operações no journal que dispara a compactação
+        this.compactThreshold = compactThreshold || 100;
+
+        // Situação do journal na última leitura/escrita deste processo
+        this.journalEntries = 0;
+        this.tornTail = false;
+
+        this.watcher = null;
+    }
+
+    async init() {
+        // Criar diretório do banco se não existir
+        await fs.ensureDir(this.dbPath);
+
+        // Criar arquivo da coleção e índice se não existirem
+        // ('wx' não sobrescreve um arquivo criado por outro processo)
+        await this.createFileIfMissing(this.filePath, []);
+        await this.createFileIfMissing(this.indexPath, {});
+
+        await this.recover();
+    }
+
+    // Recuperação na inicialização: reaplica o journal sobre o snapshot e compacta
+    async recover() {
+        await this.fileLock.acquire();
+        try {
+            const state = await this.load();
+            if (this.journalEntries > 0 || this.tornTail) {
+                const applied = this.journalEntries;
+                await this.compact(state.documents, state.seq);
+                console.log(`Journal de ${this.collectionName} recuperado: ${applied} operações aplicadas`);
+            }
+        } finally {
+            await this.fileLock.release();
+        }
+    }
+
+    // Serializa as escritas da coleção: fila no processo + lock de arquivo entre processos
+    withLock(operation) {
+        return enqueue(this.filePath, async () => {
+            await this.fileLock.acquire();
+            try {
+                return await operation();
+            } finally {
+                await this.fileLock.release();
+            }
+        });
+    }
+
+    // Assinatura (inode, tamanho, mtime) do snapshot e do journal, usada para validar o cache
+    async signature() {
+        const parts = await Promise.all([this.filePath, this.journalPath].map(async (filePath) => {
+            try {
+                const stats = await fs.stat(filePath);
+                return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+            } catch (error) {
+                if (error.code === 'ENOENT') return 'none';
+                throw error;
+            }
+        }));
+        return parts.join('|');
+    }
+
+    // Estado em disco = snapshot + operações do journal. As operações guardam o documento
+    // completo resultante, então reaplicar uma operação já incorporada não muda nada.
+    async load() {
+        const documents = await this.readSnapshot();
+        const { records, checkpoint, tornTail } = await this.readJournal();
+
+        this.journalEntries = records.length;
+        this.tornTail = tornTail;
+
+        let seq = checkpoint;
+        if (records.length === 0) {
+            return { documents, seq };
+        }
+
+        const byId = new Map(documents.map(doc => [doc.id, doc]));
+        for (const record of records) {
+            if (record.op === 'upsert') {
+                byId.set(record.document.id, record.document);
+            } else if (record.op === 'delete') {
+                byId.delete(record.id);
+            }
+            seq = Math.max(seq, record.seq || 0);
+        }
+
+        return { documents: [...byId.values()], seq };
+    }
+
+    // Grava as operações no journal ou, ao atingir o limite, compacta tudo no snapshot
+    async commit(records, documents, seq) {
+        const journalEntries = this.journalEntries + records.length;
+
+        if (this.tornTail || journalEntries >= this.compactThreshold) {
+            // O snapshot já inclui as novas operações, não é preciso anexá-las
+            await this.compact(documents, seq);
+            return { compacted: true };
+        }
+
+        await this.appendJournal(records);
+        this.journalEntries = journalEntries;
+        return { compacted: false };
+    }
+
+    // Operações com seq em (afterSeq, uptoSeq], lidas do journal; null se parte delas
+    // já foi compactada no snapshot
+    async readChanges(afterSeq, uptoSeq) {
+        const { records, checkpoint } = await this.readJournal();
+        if (checkpoint > afterSeq) return null;
+
+        const changes = records.filter(record => record.seq > afterSeq && record.seq <= uptoSeq);
+        if (changes.length !== uptoSeq - afterSeq) return null;
+        return changes;
+    }
+
+    async readSnapshot() {
+        try {
+            return await fs.readJson(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            // Arquivo corrompido não pode ser tratado como coleção vazia:
+            // a próxima escrita apagaria todos os documentos
+            console.error(`Arquivo da coleção ${this.collectionName} ilegível:`, error.message);
+            throw error;
+        }
+    }
+
+    // Lê o journal. A primeira linha pode ser um checkpoint ({ checkpoint: seq }) deixado
+    // pela compactação; uma última linha incompleta (queda no meio do append) é descartada.
+    async readJournal() {
+        let content;
+        try {
+            content = await fs.readFile(this.journalPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { records: [], checkpoint: 0, tornTail: false };
+            }
+            throw error;
+        }
+
+        const lines = content.split('\n');
+        const tornTail = lines[lines.length - 1] !== '';
+        if (tornTail) {
+            console.warn(`Journal de ${this.collectionName}: descartando última operação incompleta`);
+        }
+        lines.pop();
+
+        const records = [];
+        let checkpoint = 0;
+
+        lines.forEach((line, lineNumber) => {
+            if (!line.trim()) return;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Journal de ${this.collectionName} corrompido na linha ${lineNumber + 1}`);
+            }
+
+            if (record.checkpoint !== undefined) {
+                checkpoint = record.checkpoint;
+            } else {
+                records.push(record);
+            }
+        });
+
+        return { records, checkpoint, tornTail };
+    }
+
+    async appendJournal(records) {
+        const content = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        const fd = await fs.open(this.journalPath, 'a');
+
+        try {
+            await fs.writeFile(fd, content);
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+    }
+
+    // Grava o estado completo no snapshot e reinicia o journal a partir de um checkpoint.
+    // Se o processo cair entre os dois passos, o journal antigo é reaplicado sem efeito.
+    async compact(documents, seq) {
+        await this.writeJsonAtomic(this.filePath, documents);
+        await this.writeFileAtomic(this.journalPath, JSON.stringify({ checkpoint: seq }) + '\n');
+        this.journalEntries = 0;
+        this.tornTail = false;
+    }
+
+    async readIndexes() {
+        try {
+            return await fs.readJson(this.indexPath);
+        } catch (error) {
+            // Índice ausente ou ilegível: será reconstruído a partir dos documentos
+            return null;
+        }
+    }
+
+    async writeIndexes(data) {
+        await this.writeJsonAtomic(this.indexPath, data);
+    }
+
+    // Observa o diretório (e não os arquivos: a escrita atômica troca o arquivo via rename)
+    // para avisar quando outro processo, como o seed, altera a coleção
+    watch(onChange) {
+        const watchedFiles = [path.basename(this.filePath), path.basename(this.journalPath)];
+
+        try {
+            this.watcher = fs.watch(this.dbPath, { persistent: false }, (_event, filename) => {
+                if (filename && !watchedFiles.includes(filename.toString())) return;
+                onChange();
+            });
+            this.watcher.on('error', (error) => {
+                console.error(`Watcher de ${this.collectionName} desativado:`, error.message);
+                this.unwatch();
+            });
+            return true;
+        } catch (error) {
+            console.warn(`Não foi possível observar ${this.dbPath}:`, error.message);
+            this.watcher = null;
+            return false;
+        }
+    }
+
+    unwatch() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    isWatching() {
+        return this.watcher !== null;
+    }
+
+    async hasCollection(collectionName) {
+        return fs.pathExists(path.join(this.dbPath, `${collectionName}.json`));
+    }
+
+    // Cada coleção tem um snapshot <coleção>.json (os demais .json são índices)
+    async listCollections() {
+        if (!await fs.pathExists(this.dbPath)) return [];
+        const files = await fs.readdir(this.dbPath);
+        return files
+            .filter(file => file.endsWith('.json') && !file.endsWith('_index.json'))
+            .map(file => path.basename(file, '.json'));
+    }
+
+    sibling(collectionName) {
+        return new JsonFileStorage({
+            dbPath: this.dbPath,
+            collectionName,
+            compactThreshold: this.compactThreshold
+        });
+    }
+
+    describe() {
+        return { type: this.type, path: this.dbPath };
+    }
+
+    close() {
+        this.unwatch();
+    }
+
+    async writeJsonAtomic(filePath, data) {
+        await this.writeFileAtomic(filePath, JSON.stringify(data, null, 2) + '\n');
+    }
+
+    // Grava em um arquivo temporário e renomeia: quem lê nunca vê um arquivo pela metade
+    async writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.${uuidv4()}.tmp`;
+        const fd = await fs.open(tempPath, 'w');
+
+        try {
+            await fs.writeFile(fd, content);
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+
+        try {
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.remove(tempPath);
+            throw error;
+        }
+    }
+
+    async createFileIfMissing(filePath, initialData) {
+        try {
+            await fs.writeFile(filePath, JSON.stringify(initialData), { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,99 @@
+// shared/storage/MemoryStorage.js
+const { enqueue } = require('./writeQueue');
+
+// Coleções mantidas apenas em memória, compartilhadas pelas instâncias do mesmo processo
+// (chave: dbPath + coleção). Nada é gravado em disco; útil para testes e demonstrações.
+const collections = new Map();
+
+class MemoryStorage {
+    constructor({ dbPath, collectionName }) {
+        this.type = 'memory';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.key = MemoryStorage.keyFor(dbPath, collectionName);
+    }
+
+    static keyFor(dbPath, collectionName) {
+        return `${dbPath}::${collectionName}`;
+    }
+
+    // Descarta todas as coleções em memória (ex.: entre casos de teste)
+    static reset() {
+        collections.clear();
+    }
+
+    async init() {
+        if (!collections.has(this.key)) {
+            collections.set(this.key, { documents: [], seq: 0, indexes: null });
+        }
+    }
+
+    withLock(operation) {
+        return enqueue(this.key, operation);
+    }
+
+    async signature() {
+        const collection = collections.get(this.key);
+        return collection ? String(collection.seq) : 'none';
+    }
+
+    // Devolve cópias: o JsonDatabase não deve alterar o estado guardado aqui fora de commit()
+    async load() {
+        const collection = collections.get(this.key) || { documents: [], seq: 0 };
+        return {
+            documents: collection.documents.map(doc => JSON.parse(JSON.stringify(doc))),
+            seq: collection.seq
+        };
+    }
+
+    async commit(records, documents, seq) {
+        const collection = collections.get(this.key);
+        collection.documents = documents.map(doc => JSON.parse(JSON.stringify(doc)));
+        collection.seq = seq;
+        return { compacted: false };
+    }
+
+    async readIndexes() {
+        const collection = collections.get(this.key);
+        return collection ? collection.indexes : null;
+    }
+
+    async writeIndexes(data) {
+        const collection = collections.get(this.key);
+        if (collection) collection.indexes = data;
+    }
+
+    // Não há outros processos alterando a coleção: a assinatura basta para validar o cache
+    watch() {
+        return false;
+    }
+
+    unwatch() {}
+
+    isWatching() {
+        return false;
+    }
+
+    async hasCollection(collectionName) {
+        return collections.has(MemoryStorage.keyFor(this.dbPath, collectionName));
+    }
+
+    async listCollections() {
+        const prefix = MemoryStorage.keyFor(this.dbPath, '');
+        return [...collections.keys()]
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length));
+    }
+
+    sibling(collectionName) {
+        return new MemoryStorage({ dbPath: this.dbPath, collectionName });
+    }
+
+    describe() {
+        return { type: this.type };
+    }
+
+    close() {}
+}
+
+module.exports = MemoryStorage;
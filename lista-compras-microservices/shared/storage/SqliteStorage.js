@@ -0,0 +1,202 @@
+// shared/storage/SqliteStorage.js
+const fs = require('fs-extra');
+const path = require('path');
+const { enqueue } = require('./writeQueue');
+
+// Conexões abertas por arquivo de banco, compartilhadas entre as coleções do mesmo processo
+const connections = new Map();
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        const wrapped = new Error('Armazenamento "sqlite" exige o pacote better-sqlite3 (npm install better-sqlite3)');
+        wrapped.cause = error;
+        throw wrapped;
+    }
+}
+
+// Armazenamento em SQLite embarcado: um arquivo store.sqlite por diretório de banco,
+// uma tabela por coleção (id, posição, documento JSON) e uma tabela de metadados com
+// o seq e os índices persistidos de cada coleção. As escritas são transações
+// BEGIN IMMEDIATE, que o SQLite já serializa entre processos.
+class SqliteStorage {
+    constructor({ dbPath, collectionName, compactThreshold }) {
+        if (!/^[A-Za-z0-9_]+$/.test(collectionName)) {
+            throw new Error(`Nome de coleção inválido para SQLite: ${collectionName}`);
+        }
+
+        this.type = 'sqlite';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, 'store.sqlite');
+        this.table = `collection_${collectionName}`;
+
+        // Commits entre persistências dos índices (equivalente à compactação do JSON)
+        this.compactThreshold = compactThreshold || 100;
+        this.commitsSinceIndex = 0;
+
+        this.db = null;
+    }
+
+    async init() {
+        await fs.ensureDir(this.dbPath);
+        this.db = this.connect();
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS collection_meta (
+                name TEXT PRIMARY KEY,
+                seq INTEGER NOT NULL DEFAULT 0,
+                indexes TEXT
+            );
+            CREATE TABLE IF NOT EXISTS "${this.table}" (
+                id TEXT PRIMARY KEY,
+                position INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS "${this.table}_position" ON "${this.table}" (position);
+        `);
+        this.db.prepare('INSERT OR IGNORE INTO collection_meta (name, seq) VALUES (?, 0)').run(this.collectionName);
+    }
+
+    connect() {
+        let connection = connections.get(this.filePath);
+        if (!connection) {
+            const Database = loadDriver();
+            connection = { db: new Database(this.filePath), users: 0 };
+            connection.db.pragma('journal_mode = WAL');
+            connection.db.pragma('busy_timeout = 15000');
+            connections.set(this.filePath, connection);
+        }
+        connection.users++;
+        return connection.db;
+    }
+
+    // A fila evita transações aninhadas na conexão compartilhada; o BEGIN IMMEDIATE
+    // segura o lock de escrita do arquivo contra outros processos até o COMMIT
+    withLock(operation) {
+        return enqueue(this.filePath, async () => {
+            this.db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await operation();
+                this.db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                if (this.db.inTransaction) {
+                    this.db.exec('ROLLBACK');
+                }
+                throw error;
+            }
+        });
+    }
+
+    async signature() {
+        const row = this.db.prepare('SELECT seq FROM collection_meta WHERE name = ?').get(this.collectionName);
+        return row ? String(row.seq) : 'none';
+    }
+
+    async load() {
+        const rows = this.db.prepare(`SELECT data FROM "${this.table}" ORDER BY position`).all();
+        const { seq } = this.db.prepare('SELECT seq FROM collection_meta WHERE name = ?').get(this.collectionName);
+        return { documents: rows.map(row => JSON.parse(row.data)), seq };
+    }
+
+    // Grava apenas os documentos alterados; novos documentos vão para o fim da coleção
+    async commit(records, documents, seq) {
+        const upsert = this.db.prepare(`
+            INSERT INTO "${this.table}" (id, position, data)
+            VALUES (@id, (SELECT COALESCE(MAX(position), 0) + 1 FROM "${this.table}"), @data)
+            ON CONFLICT (id) DO UPDATE SET data = excluded.data
+        `);
+        const remove = this.db.prepare(`DELETE FROM "${this.table}" WHERE id = ?`);
+
+        for (const record of records) {
+            if (record.op === 'upsert') {
+                upsert.run({ id: record.document.id, data: JSON.stringify(record.document) });
+            } else if (record.op === 'delete') {
+                remove.run(record.id);
+            }
+        }
+        this.db.prepare('UPDATE collection_meta SET seq = ? WHERE name = ?').run(seq, this.collectionName);
+
+        this.commitsSinceIndex++;
+        if (this.commitsSinceIndex >= this.compactThreshold) {
+            this.commitsSinceIndex = 0;
+            return { compacted: true };
+        }
+        return { compacted: false };
+    }
+
+    async readIndexes() {
+        const row = this.db.prepare('SELECT indexes FROM collection_meta WHERE name = ?').get(this.collectionName);
+        try {
+            return row && row.indexes ? JSON.parse(row.indexes) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async writeIndexes(data) {
+        this.db.prepare('UPDATE collection_meta SET indexes = ? WHERE name = ?')
+            .run(JSON.stringify(data), this.collectionName);
+    }
+
+    // Sem notificação de alterações: o cache é validado pelo seq a cada leitura
+    watch() {
+        return false;
+    }
+
+    unwatch() {}
+
+    isWatching() {
+        return false;
+    }
+
+    async hasCollection(collectionName) {
+        if (!this.db) return false;
+        const row = this.db.prepare('SELECT 1 FROM collection_meta WHERE name = ?').get(collectionName);
+        return Boolean(row);
+    }
+
+    // Sem init(), abre a conexão só para a consulta, sem criar o arquivo nem as tabelas
+    async listCollections() {
+        if (!this.db && !await fs.pathExists(this.filePath)) return [];
+
+        const db = this.db || this.connect();
+        try {
+            const meta = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'collection_meta'").get();
+            return meta ? db.prepare('SELECT name FROM collection_meta ORDER BY name').all().map(row => row.name) : [];
+        } finally {
+            if (!this.db) this.release();
+        }
+    }
+
+    sibling(collectionName) {
+        return new SqliteStorage({
+            dbPath: this.dbPath,
+            collectionName,
+            compactThreshold: this.compactThreshold
+        });
+    }
+
+    describe() {
+        return { type: this.type, path: this.filePath };
+    }
+
+    // A conexão só é fechada quando a última coleção que a usa é fechada
+    close() {
+        if (!this.db) return;
+        this.db = null;
+        this.release();
+    }
+
+    release() {
+        const connection = connections.get(this.filePath);
+        if (connection && --connection.users === 0) {
+            connection.db.close();
+            connections.delete(this.filePath);
+        }
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,48 @@
+// shared/storage/index.js
+// Adaptadores de armazenamento do JsonDatabase. Todos implementam a mesma interface:
+//   init()                          preparar a coleção (e recuperar escritas interrompidas)
+//   withLock(operation)             executar uma mutação com exclusão mútua
+//   signature()                     identificar a versão atual dos dados (validação do cache)
+//   load()                          { documents, seq }
+//   commit(records, documents, seq) persistir uma mutação; { compacted } indica quando
+//                                   os índices devem ser regravados
+//   readIndexes() / writeIndexes(data)
+//   readChanges(afterSeq, uptoSeq)  opcional: operações gravadas por outros processos
+//   watch(onChange) / unwatch() / isWatching()
+//   hasCollection(name) / listCollections() / sibling(name) / describe() / close()
+// listCollections() também funciona sem init() e não cria nada (usado para listar o banco).
+const JsonFileStorage = require('./JsonFileStorage');
+const MemoryStorage = require('./MemoryStorage');
+
+const adapters = {
+    json: JsonFileStorage,
+    memory: MemoryStorage,
+    // Carregado sob demanda: better-sqlite3 é uma dependência opcional
+    sqlite: () => require('./SqliteStorage')
+};
+
+function resolveAdapter(type) {
+    const adapter = adapters[type];
+    if (!adapter) {
+        throw new Error(`Armazenamento não suportado: ${type} (use ${Object.keys(adapters).join(', ')})`);
+    }
+    return adapter.prototype ? adapter : adapter();
+}
+
+// `storage` pode ser o nome do adaptador ou uma instância já criada;
+// sem ele, vale a variável de ambiente DB_STORAGE e, por fim, 'json'
+function createStorage({ storage, dbPath, collectionName, compactThreshold }) {
+    if (storage && typeof storage === 'object') {
+        return storage;
+    }
+
+    const type = (storage || process.env.DB_STORAGE || 'json').toLowerCase();
+    const Adapter = resolveAdapter(type);
+    return new Adapter({ dbPath, collectionName, compactThreshold });
+}
+
+module.exports = {
+    createStorage,
+    JsonFileStorage,
+    MemoryStorage
+};
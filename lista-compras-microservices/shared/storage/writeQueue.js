@@ -0,0 +1,20 @@
+// shared/storage/writeQueue.js
+// Fila de escritas por chave (arquivo/banco), compartilhada entre instâncias do mesmo processo
+const queues = new Map();
+
+function enqueue(key, operation) {
+    const previous = queues.get(key) || Promise.resolve();
+    const run = previous.then(() => operation());
+
+    const tail = run.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+        if (queues.get(key) === tail) {
+            queues.delete(key);
+        }
+    });
+
+    return run;
+}
+
+module.exports = { enqueue };